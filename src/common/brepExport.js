@@ -0,0 +1,116 @@
+// brepExport.js - Exact geometry export of face groups as STEP, IGES or BREP, for opening a
+// group in a CAD tool without the loss of a mesh. STEP and IGES files hold every group as a
+// named entity, written through XCAF: a STEP product or an IGES entity carrying the group
+// name. The BREP format has no names, so there every group gets a file named after it.
+
+// Formats and their file extensions
+export const BREP_FORMATS = {
+  step: 'step',
+  iges: 'igs',
+  brep: 'brep'
+};
+
+// Errors carry a code, like the CAD kernel's, so callers can tell failures apart
+function exportError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// File name part made of [A-Za-z0-9_.-] only, so it can't leave the scratch directory
+function safeBaseName(baseName) {
+  const name = String(baseName || '').replace(/[^A-Za-z0-9_.-]/g, '_').replace(/^\.+/, '');
+  return name || 'model';
+}
+
+// Compound of the given faces
+function makeCompound(openCascade, faces) {
+  const builder = new openCascade.BRep_Builder();
+  const compound = new openCascade.TopoDS_Compound();
+  builder.MakeCompound(compound);
+  faces.forEach(({ face }) => builder.Add(compound, face));
+  builder.delete();
+  return compound;
+}
+
+// Writes a file through `write(path)` and returns its contents
+function writeScratchFile(openCascade, fileName, write) {
+  const path = '/' + fileName;
+  try {
+    if (!write(path)) {
+      throw exportError('BREP_WRITE_FAILED', `Writing ${fileName} failed`);
+    }
+    return openCascade.FS.readFile(path);
+  } finally {
+    if (openCascade.FS.analyzePath(path).exists) {
+      openCascade.FS.unlink(path);
+    }
+  }
+}
+
+// XCAF document with one named top-level shape per group
+function createGroupsDocument(openCascade, groups) {
+  const doc = new openCascade.Handle_TDocStd_Document_2(
+    new openCascade.TDocStd_Document(new openCascade.TCollection_ExtendedString_1())
+  );
+  const shapeTool = openCascade.XCAFDoc_DocumentTool.ShapeTool(doc.get().Main()).get();
+
+  groups.forEach(({ name, faces }) => {
+    const compound = makeCompound(openCascade, faces);
+    const label = shapeTool.AddShape(compound, false, true);
+    const groupName = new openCascade.TCollection_ExtendedString_2(name, false);
+    openCascade.TDataStd_Name.Set_1(label, groupName);
+    [groupName, label, compound].forEach(object => object.delete());
+  });
+
+  return doc;
+}
+
+/**
+ * Writes face groups as exact B-Rep geometry
+ * @param {Object} openCascade - Initialized OpenCascade instance
+ * @param {Object[]} groups - [{ name, faces: [{ faceIndex, face }] }]
+ * @param {string} format - A key of BREP_FORMATS
+ * @param {string} baseName - File name without extension, characters outside [A-Za-z0-9_.-]
+ *                            become '_'
+ * @returns {Object[]} [{ fileName, data: Uint8Array }]: one file for STEP and IGES, one per
+ *                     group (`<baseName>_<group>.brep`) for BREP
+ */
+export function writeGroupsBRep(openCascade, groups, format, baseName) {
+  const extension = BREP_FORMATS[format];
+  if (!extension) {
+    throw exportError('BREP_FORMAT', `Unknown format '${format}', use ${Object.keys(BREP_FORMATS).join(', ')}`);
+  }
+  const empty = groups.filter(group => group.faces.length === 0);
+  if (groups.length === 0 || empty.length > 0) {
+    throw exportError('BREP_EMPTY', groups.length === 0 ? 'There are no groups to export' : `${empty.map(group => group.name).join(', ')} has no faces to export`);
+  }
+
+  const fileBaseName = safeBaseName(baseName);
+  if (format === 'brep') {
+    return groups.map(({ name, faces }) => {
+      const fileName = `${fileBaseName}_${safeBaseName(name)}.${extension}`;
+      const compound = makeCompound(openCascade, faces);
+      try {
+        const data = writeScratchFile(openCascade, fileName,
+          path => openCascade.BRepTools.Write_3(compound, path, new openCascade.Message_ProgressRange_1()));
+        return { fileName: fileName, data: data };
+      } finally {
+        compound.delete();
+      }
+    });
+  }
+
+  const fileName = `${fileBaseName}.${extension}`;
+  const doc = createGroupsDocument(openCascade, groups);
+  const writer = format === 'step' ? new openCascade.STEPCAFControl_Writer_1() : new openCascade.IGESCAFControl_Writer_1();
+  try {
+    writer.SetNameMode(true);
+    const data = writeScratchFile(openCascade, fileName,
+      path => writer.Perform_2(doc, path, new openCascade.Message_ProgressRange_1()));
+    return [{ fileName: fileName, data: data }];
+  } finally {
+    writer.delete();
+    doc.delete();
+  }
+}
@@ -0,0 +1,304 @@
+// cadKernel.worker.js - Runs OpenCascade import and tessellation off the main thread
+// The main thread talks to this worker through CADKernelClient (cadKernelClient.js).
+// Every request is { id, type, payload }; the worker answers with one 'result' or
+// 'error' message for that id, optionally preceded by streamed 'face' and 'edge' messages.
+import initOpenCascade from "opencascade.js";
+import {
+  importCADFile,
+  triangulateFace,
+  resolveTessellation,
+  clearTriangulation,
+  shapeDiagonal,
+  DEFAULT_TESSELLATION,
+  DEFAULT_EXPORT_TESSELLATION
+} from './visualize.js';
+import { computeFaceProperties } from './faceProperties.js';
+import { signatureFromProperties } from './faceSignature.js';
+import { computeModelProperties, detectSTEPLengthUnit } from './modelProperties.js';
+import { extractEdges } from './edges.js';
+import { writeFacesSTL, writeMultiSolidSTL } from './stlExport.js';
+import { writeGroupsBRep } from './brepExport.js';
+
+// Signature position tolerance, as a fraction of the model's bounding box diagonal
+const SIGNATURE_TOLERANCE = 1e-4;
+
+// Name of the solid holding the faces of no group in a multi-solid STL
+const UNASSIGNED_SOLID = 'unassigned';
+
+let openCascade = null;
+
+// The model currently held by the kernel: { shape, faceMap, assembly, format, declaredUnit }
+let current = null;
+
+// Frees the OCCT objects of the previously loaded model
+function releaseCurrentModel() {
+  if (!current) return;
+  current.faceMap.forEach(entry => entry.face.delete());
+  current.shape.delete();
+  current = null;
+}
+
+// SHA-256 of an imported file, so a project can tell whether it was saved with the same file
+async function hashFileBytes(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return 'sha256:' + Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Errors carry a code so the client can tell failures apart
+function kernelError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Returns the loaded model, failing the command if there is none
+function requireModel() {
+  if (!current) {
+    throw kernelError('NO_MODEL', 'No model is loaded in the CAD kernel');
+  }
+  return current;
+}
+
+// Computes the geometric properties and persistent signature of every face, before any
+// meshing so the results don't depend on the display tessellation
+function analyzeFaces() {
+  const { shape, faceMap } = requireModel();
+  const diagonal = shapeDiagonal(openCascade, shape);
+  const tolerance = diagonal > 0 ? diagonal * SIGNATURE_TOLERANCE : SIGNATURE_TOLERANCE;
+  const faces = [];
+
+  faceMap.forEach((entry, faceIndex) => {
+    entry.properties = computeFaceProperties(openCascade, entry.face);
+    entry.signature = signatureFromProperties(entry.properties, tolerance);
+    faces.push({ faceIndex: faceIndex, properties: entry.properties, signature: entry.signature });
+  });
+
+  return faces;
+}
+
+// Meshes every face of the current model, or only the listed ones, and streams the buffers
+// back one face at a time
+function streamFaces(context, tessellation, faceIndices = null) {
+  const { shape, faceMap } = requireModel();
+  const deflection = resolveTessellation(openCascade, shape, tessellation);
+  const selected = faceIndices ? new Set(faceIndices) : null;
+  let meshedFaces = 0;
+  const unmeshedFaces = [];
+
+  faceMap.forEach((entry, faceIndex) => {
+    if (selected && !selected.has(faceIndex)) return;
+    const buffers = triangulateFace(openCascade, entry.face, deflection);
+    if (!buffers) {
+      unmeshedFaces.push(faceIndex);
+      return;
+    }
+
+    meshedFaces++;
+    context.post('face', {
+      faceIndex: faceIndex,
+      partId: entry.partId,
+      color: entry.color,
+      layers: entry.layers,
+      position: buffers.position,
+      normal: buffers.normal,
+      index: buffers.index
+    }, [buffers.position.buffer, buffers.normal.buffer, buffers.index.buffer]);
+  });
+
+  return { meshedFaces: meshedFaces, unmeshedFaces: unmeshedFaces, linearDeflection: deflection.linearDeflection };
+}
+
+// Discretizes the B-Rep edges as finely as the faces and streams them back one edge at a time
+function streamEdges(context, tessellation) {
+  const { shape, faceMap } = requireModel();
+  const deflection = resolveTessellation(openCascade, shape, tessellation);
+  const edges = extractEdges(openCascade, shape, faceMap, deflection);
+
+  edges.forEach(edge => context.post('edge', edge, [edge.position.buffer]));
+  return edges.length;
+}
+
+// The OCCT faces of a group, failing on indices the model doesn't have
+function groupFaces(groupName, faceIndices) {
+  const { faceMap } = requireModel();
+  const missing = faceIndices.filter(faceIndex => !faceMap.has(faceIndex));
+  if (missing.length > 0) {
+    throw kernelError('UNKNOWN_FACE', `${groupName} refers to faces the model doesn't have: #${missing.join(', #')}`);
+  }
+  return faceIndices.map(faceIndex => ({ faceIndex: faceIndex, face: faceMap.get(faceIndex).face }));
+}
+
+// Command handlers, keyed by request type
+const handlers = {
+  async init({ wasmUrl }) {
+    if (!openCascade) {
+      openCascade = await initOpenCascade(wasmUrl ? { mainWasm: wasmUrl } : {});
+    }
+    return { ready: true };
+  },
+
+  async import({ fileBytes, fileName, tessellation = DEFAULT_TESSELLATION }, context) {
+    // The file arrives here anyway, so the main thread doesn't keep a copy just for hashing
+    const fileHash = await hashFileBytes(fileBytes);
+    const importedData = importCADFile(openCascade, fileBytes, fileName);
+    if (importedData.error) {
+      // The previous model stays loaded, the viewer keeps showing it
+      return { format: importedData.format, faceCount: 0, error: importedData.error };
+    }
+
+    releaseCurrentModel();
+    current = importedData;
+    // The unit is read from the file itself; OpenCascade has already converted the geometry to mm
+    current.declaredUnit = current.format === 'step' ? detectSTEPLengthUnit(fileBytes) : null;
+    const faces = analyzeFaces();
+    const meshing = streamFaces(context, tessellation);
+    const edgeCount = streamEdges(context, tessellation);
+
+    return {
+      format: current.format,
+      fileHash: fileHash,
+      faceCount: current.faceMap.size,
+      edgeCount: edgeCount,
+      assembly: current.assembly,
+      faces: faces,
+      ...meshing
+    };
+  },
+
+  // Re-tessellates the loaded shape with new settings, without re-importing it
+  mesh({ tessellation = DEFAULT_TESSELLATION }, context) {
+    clearTriangulation(openCascade, requireModel().shape);
+    const meshing = streamFaces(context, tessellation);
+    const edgeCount = streamEdges(context, tessellation);
+    return { faceCount: current.faceMap.size, edgeCount: edgeCount, ...meshing };
+  },
+
+  // Mass properties and bounding boxes of the whole model, computed once per import
+  modelProperties() {
+    const model = requireModel();
+    if (!model.modelProperties) {
+      model.modelProperties = {
+        ...computeModelProperties(openCascade, model.shape),
+        lengthUnit: 'mm',
+        declaredUnit: model.declaredUnit
+      };
+    }
+    return model.modelProperties;
+  },
+
+  getFace({ faceIndex }) {
+    const entry = requireModel().faceMap.get(faceIndex);
+    if (!entry) {
+      return null;
+    }
+
+    const orientation = entry.face.Orientation_1();
+    return {
+      faceIndex: faceIndex,
+      reversed: orientation !== openCascade.TopAbs_Orientation.TopAbs_FORWARD
+    };
+  },
+
+  // Meshes a group's faces with the export settings and writes them as one STL solid
+  generateSTL({ groupName, faceIndices, fileName, tessellation = DEFAULT_EXPORT_TESSELLATION, format = 'binary' }) {
+    const { shape } = requireModel();
+    // Relative deflection is taken from the whole model's size, so every group of the same
+    // model is exported at the same quality
+    const { data, triangleCount } = writeFacesSTL(openCascade, groupFaces(groupName, faceIndices), {
+      name: groupName,
+      format: format,
+      deflection: resolveTessellation(openCascade, shape, tessellation),
+      fileName: fileName
+    });
+    return { stlData: data, format: format, facesAdded: faceIndices.length, triangleCount: triangleCount };
+  },
+
+  // Writes the groups ([{ name, faceIndices }]) as exact geometry: STEP or IGES with a named
+  // entity per group, or a BREP file per group
+  exportBRep({ groups, format, baseName }) {
+    const files = writeGroupsBRep(
+      openCascade,
+      groups.map(({ name, faceIndices }) => ({ name: name, faces: groupFaces(name, faceIndices) })),
+      format,
+      baseName
+    );
+    return { files: files };
+  },
+
+  // Meshes the given faces with the export settings and streams them as import does, for the
+  // mesh formats written on the main thread (OBJ, PLY, glTF). Faces that can't be meshed are
+  // skipped and listed in unmeshedFaces
+  exportMeshes({ faceIndices, tessellation = DEFAULT_EXPORT_TESSELLATION }, context) {
+    // Only these faces drop their display mesh, which may be finer than the export settings ask for
+    groupFaces('The export', faceIndices).forEach(({ face }) => clearTriangulation(openCascade, face));
+    return streamFaces(context, tessellation, faceIndices);
+  },
+
+  // Writes every group as a named solid of one ASCII STL file. With includeUnassigned, the faces
+  // in none of the groups follow as an 'unassigned' solid, so the solids cover the whole model
+  generateMultiSolidSTL({ groups, includeUnassigned = false, fileName, tessellation = DEFAULT_EXPORT_TESSELLATION }) {
+    const { shape, faceMap } = requireModel();
+    const solids = groups.map(({ name, faceIndices }) => ({ name: name, faces: groupFaces(name, faceIndices) }));
+
+    if (includeUnassigned) {
+      if (groups.some(group => group.name === UNASSIGNED_SOLID)) {
+        throw kernelError('NAME_TAKEN', `A group is named '${UNASSIGNED_SOLID}', rename it to export the unassigned faces`);
+      }
+      const assigned = new Set(groups.flatMap(group => group.faceIndices));
+      const leftover = Array.from(faceMap.keys()).filter(faceIndex => !assigned.has(faceIndex));
+      // A model fully covered by the groups has no unassigned solid
+      if (leftover.length > 0) {
+        solids.push({ name: UNASSIGNED_SOLID, faces: groupFaces(UNASSIGNED_SOLID, leftover) });
+      }
+    }
+
+    const { data, triangleCount, solids: written } = writeMultiSolidSTL(openCascade, solids, {
+      deflection: resolveTessellation(openCascade, shape, tessellation),
+      fileName: fileName
+    });
+    return {
+      stlData: data,
+      format: 'ascii',
+      facesAdded: written.reduce((total, solid) => total + solid.faceCount, 0),
+      triangleCount: triangleCount,
+      solids: written
+    };
+  }
+};
+
+// Runs one request and posts its result or error; never rejects
+async function runRequest({ id, type, payload }) {
+  const context = {
+    // Sends a partial result for this request, transferring the listed buffers
+    post: (messageType, data, transfer = []) => {
+      self.postMessage({ id: id, type: messageType, payload: data }, transfer);
+    }
+  };
+
+  try {
+    if (!handlers[type]) {
+      throw kernelError('UNKNOWN_COMMAND', `Unknown CAD kernel command: ${type}`);
+    }
+    if (type !== 'init' && !openCascade) {
+      throw kernelError('NOT_INITIALIZED', 'CAD kernel is not initialized');
+    }
+
+    const result = await handlers[type](payload || {}, context);
+    self.postMessage({ id: id, type: 'result', payload: result });
+  } catch (error) {
+    console.error(`CAD kernel command '${type}' failed:`, error);
+    self.postMessage({
+      id: id,
+      type: 'error',
+      error: { code: error.code || 'KERNEL_ERROR', message: error.message || String(error) }
+    });
+  }
+}
+
+// Requests run one at a time in the order they arrive. Handlers await (import hashes the
+// file first), and a request arriving meanwhile must not run against the model being replaced
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+  queue = queue.then(() => runRequest(event.data));
+};
@@ -0,0 +1,136 @@
+// cadKernelClient.js - Main thread side of the CAD kernel worker (cadKernel.worker.js)
+// Wraps the worker's message protocol in promises so the viewer never touches OpenCascade directly.
+import openCascadeWasm from 'opencascade.js/dist/opencascade.full.wasm';
+
+export class CADKernelClient {
+  constructor(worker) {
+    this.worker = worker;
+    this.nextRequestId = 1;
+    // Pending requests by id: { resolve, reject, onFace, onEdge }
+    this.pending = new Map();
+
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('CAD kernel worker crashed:', event.message);
+      this.pending.forEach(request => request.reject(new Error(event.message || 'CAD kernel worker crashed')));
+      this.pending.clear();
+    };
+  }
+
+  /**
+   * Sends a command to the worker
+   * @param {string} type - Command name (init, import, mesh, getFace, ...)
+   * @param {Object} payload - Command arguments
+   * @param {Object} options - { transfer: buffers to hand over, onFace/onEdge: callbacks for streamed faces and edges }
+   * @returns {Promise} Resolves with the command result, rejects with an Error carrying `code`
+   */
+  request(type, payload = {}, options = {}) {
+    const { transfer = [], onFace = null, onEdge = null } = options;
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onFace, onEdge });
+      this.worker.postMessage({ id: id, type: type, payload: payload }, transfer);
+    });
+  }
+
+  handleMessage({ id, type, payload, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    if (type === 'face') {
+      if (request.onFace) {
+        request.onFace(payload);
+      }
+    } else if (type === 'edge') {
+      if (request.onEdge) {
+        request.onEdge(payload);
+      }
+    } else if (type === 'result') {
+      this.pending.delete(id);
+      request.resolve(payload);
+    } else if (type === 'error') {
+      this.pending.delete(id);
+      request.reject(Object.assign(new Error(error.message), { code: error.code }));
+    }
+  }
+
+  // Loads the OpenCascade WebAssembly module inside the worker
+  init() {
+    // Resolved here because relative URLs inside the worker resolve against the worker script
+    const wasmUrl = new URL(openCascadeWasm, window.location.href).href;
+    return this.request('init', { wasmUrl });
+  }
+
+  /**
+   * Imports a STEP/IGES file in the worker and meshes it
+   * @param {Uint8Array} fileBytes - Raw file contents, transferred (not copied) to the worker
+   * @param {string} fileName - Used to pick the reader
+   * @param {Function} onFace - Called with { faceIndex, partId, color, layers, position, normal, index } for each meshed face
+   * @param {Object} tessellation - Display tessellation settings, see DEFAULT_TESSELLATION
+   * @param {Function} onEdge - Called with { edgeIndex, faceIndices, angle, position } for each B-Rep edge
+   * @returns {Promise} Resolves with { format, fileHash ('sha256:<hex>'), faceCount, edgeCount, assembly, meshedFaces, unmeshedFaces,
+   *                    linearDeflection, faces: [{ faceIndex, properties, signature }] } or { error }
+   */
+  importFile(fileBytes, fileName, onFace, tessellation, onEdge) {
+    return this.request('import', { fileBytes, fileName, tessellation }, {
+      transfer: [fileBytes.buffer],
+      onFace,
+      onEdge
+    });
+  }
+
+  // Re-meshes the loaded model with new tessellation settings, streaming the faces and edges again
+  mesh(tessellation, onFace, onEdge) {
+    return this.request('mesh', { tessellation }, { onFace, onEdge });
+  }
+
+  // Volume, area, center of mass, inertia, bounding boxes and the unit declared in the file
+  getModelProperties() {
+    return this.request('modelProperties');
+  }
+
+  // Face map lookup; the OCCT face itself stays in the worker
+  getFace(faceIndex) {
+    return this.request('getFace', { faceIndex });
+  }
+
+  // Writes the given faces as binary or ASCII STL inside the worker and returns
+  // { stlData: Uint8Array, format, facesAdded, triangleCount }; fails if any face can't be exported
+  generateSTL(groupName, faceIndices, fileName, tessellation, format = 'binary') {
+    return this.request('generateSTL', { groupName, faceIndices, fileName, tessellation, format });
+  }
+
+  // Writes the groups ([{ name, faceIndices }]) as exact geometry in the format 'step', 'iges'
+  // or 'brep' and returns { files: [{ fileName, data }] }
+  exportBRep(groups, format, baseName) {
+    return this.request('exportBRep', { groups, format, baseName });
+  }
+
+  // Meshes the given faces with the export tessellation and streams them to onFace, like
+  // importFile. Resolves with { meshedFaces, unmeshedFaces, linearDeflection }; faces that can't
+  // be meshed are skipped. The kernel keeps the export mesh of these faces until the next
+  // re-mesh, the three.js buffers on screen are not touched
+  exportMeshes(faceIndices, tessellation, onFace) {
+    return this.request('exportMeshes', { faceIndices, tessellation }, { onFace });
+  }
+
+  // Writes the groups ([{ name, faceIndices }]) as named solids of one ASCII STL file, plus an
+  // 'unassigned' solid for the remaining faces if asked; the result also lists the solids written
+  generateMultiSolidSTL(groups, fileName, tessellation, includeUnassigned = false) {
+    return this.request('generateMultiSolidSTL', { groups, fileName, tessellation, includeUnassigned });
+  }
+
+  // Stops the worker; requests still waiting for it are rejected with code TERMINATED
+  terminate() {
+    this.worker.terminate();
+    this.pending.forEach(request => request.reject(Object.assign(new Error('CAD kernel was terminated'), { code: 'TERMINATED' })));
+    this.pending.clear();
+  }
+}
+
+// Starts the worker and returns a client for it
+export function createCADKernel() {
+  const worker = new Worker(new URL('./cadKernel.worker.js', import.meta.url));
+  return new CADKernelClient(worker);
+}
@@ -0,0 +1,150 @@
+// edges.js - B-Rep edges of the imported shape, discretized for the line overlay
+// Every edge is listed once, with the faces it bounds and the angle between them, so the
+// viewer can drop smooth (tangent or seam) edges below a crease angle.
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Unit normal of a face at the point of the edge at parameter `t`, or null where it is undefined
+function faceNormalAlongEdge(openCascade, edge, faceShape, t) {
+  const face = openCascade.TopoDS.Face_1(faceShape);
+  const curve2d = new openCascade.BRepAdaptor_Curve2d_2(edge, face);
+  const uv = curve2d.Value(t);
+  const surface = new openCascade.BRepAdaptor_Surface_2(face, true);
+  const point = new openCascade.gp_Pnt_1();
+  const d1u = new openCascade.gp_Vec_1();
+  const d1v = new openCascade.gp_Vec_1();
+  surface.D1(uv.X(), uv.Y(), point, d1u, d1v);
+
+  const cross = d1u.Crossed(d1v);
+  const magnitude = cross.Magnitude();
+  let normal = null;
+  if (magnitude > 1e-12) {
+    // The face orientation decides which way its material side faces
+    const sign = face.Orientation_1() === openCascade.TopAbs_Orientation.TopAbs_REVERSED ? -1 : 1;
+    normal = [cross.X(), cross.Y(), cross.Z()].map(value => sign * value / magnitude);
+  }
+
+  [cross, d1u, d1v, point, uv, surface, curve2d, face].forEach(object => object.delete());
+  return normal;
+}
+
+// Angle in degrees between the faces on either side of the edge; 0 for a seam
+function dihedralAngle(openCascade, edge, faces, t) {
+  if (faces[0].IsSame(faces[1])) {
+    return 0;
+  }
+  const normals = faces.map(face => faceNormalAlongEdge(openCascade, edge, face, t));
+  if (normals.some(normal => normal === null)) {
+    return null;
+  }
+  const dot = normals[0][0] * normals[1][0] + normals[0][1] * normals[1][1] + normals[0][2] * normals[1][2];
+  return toDegrees(Math.acos(Math.min(1, Math.max(-1, dot))));
+}
+
+// Shapes of a TopTools_ListOfShape; the bindings have no list iterator, so a copy is emptied
+function listShapes(openCascade, list) {
+  const copy = new openCascade.TopTools_ListOfShape_3(list);
+  const shapes = [];
+  while (!copy.IsEmpty()) {
+    shapes.push(copy.First_1());
+    copy.RemoveFirst();
+  }
+  copy.delete();
+  return shapes;
+}
+
+// Points along the edge within the given deflections, as a flat array of line segments
+function discretizeEdge(openCascade, edge, deflection) {
+  const curve = new openCascade.BRepAdaptor_Curve_2(edge);
+  const points = new openCascade.GCPnts_TangentialDeflection_2(
+    curve, deflection.angularDeflection, deflection.linearDeflection, 2, 1e-9, 1e-7
+  );
+
+  const count = points.NbPoints();
+  const position = new Float32Array(Math.max(0, count - 1) * 6);
+  let previous = null;
+  for (let i = 1; i <= count; i++) {
+    const point = points.Value(i);
+    const current = [point.X(), point.Y(), point.Z()];
+    point.delete();
+    if (previous) {
+      position.set(previous, (i - 2) * 6);
+      position.set(current, (i - 2) * 6 + 3);
+    }
+    previous = current;
+  }
+
+  points.delete();
+  curve.delete();
+  return position;
+}
+
+/**
+ * Lists the edges of a shape, each once, with their polyline and neighbouring faces. The
+ * neighbours also give the face adjacency, see buildFaceAdjacency in the viewer
+ * @param {Object} openCascade - The OpenCascade.js instance
+ * @param {Object} shape - The imported TopoDS_Shape
+ * @param {Map} faceMap - Face index -> { face }, as built on import
+ * @param {Object} deflection - Absolute { linearDeflection, angularDeflection }, see resolveTessellation
+ * @returns {Object[]} [{ edgeIndex, faceIndices, angle, position }] where `position` holds
+ *                     line segment end points and `angle` (degrees) is null for free edges
+ */
+export function extractEdges(openCascade, shape, faceMap, deflection) {
+  // Every edge once, with the faces it bounds. Edge indices come from the indexed map, so an
+  // edge shared by two faces has one index; a seam lists its face twice
+  const edgeMap = new openCascade.TopTools_IndexedDataMapOfShapeListOfShape_1();
+  openCascade.TopExp.MapShapesAndAncestors(shape, openCascade.TopAbs_ShapeEnum.TopAbs_EDGE, openCascade.TopAbs_ShapeEnum.TopAbs_FACE, edgeMap);
+
+  // Ancestor faces are looked up by position in the face map
+  const faceLookup = new openCascade.TopTools_IndexedMapOfShape_1();
+  const faceIndices = [];
+  faceMap.forEach((entry, faceIndex) => {
+    faceLookup.Add(entry.face);
+    faceIndices.push(faceIndex);
+  });
+
+  const edges = [];
+  for (let edgeIndex = 1; edgeIndex <= edgeMap.Size(); edgeIndex++) {
+    const edge = openCascade.TopoDS.Edge_1(edgeMap.FindKey(edgeIndex));
+    if (openCascade.BRep_Tool.Degenerated(edge)) {
+      edge.delete();
+      continue;
+    }
+
+    let position;
+    try {
+      position = discretizeEdge(openCascade, edge, deflection);
+    } catch (e) {
+      console.error(`Edge #${edgeIndex} could not be discretized`);
+      edge.delete();
+      continue;
+    }
+
+    const neighbours = listShapes(openCascade, edgeMap.FindFromIndex(edgeIndex))
+      .map(face => ({ faceIndex: faceIndices[faceLookup.FindIndex(face) - 1], face: face }))
+      .filter(neighbour => neighbour.faceIndex !== undefined);
+    let angle = null;
+    if (neighbours.length === 2) {
+      const curve = new openCascade.BRepAdaptor_Curve_2(edge);
+      const middle = (curve.FirstParameter() + curve.LastParameter()) / 2;
+      curve.delete();
+      try {
+        angle = dihedralAngle(openCascade, edge, neighbours.map(neighbour => neighbour.face), middle);
+      } catch (e) {
+        angle = null;
+      }
+    }
+
+    edges.push({
+      edgeIndex: edgeIndex,
+      faceIndices: [...new Set(neighbours.map(neighbour => neighbour.faceIndex))],
+      angle: angle,
+      position: position
+    });
+    edge.delete();
+  }
+
+  faceLookup.delete();
+  edgeMap.delete();
+  return edges;
+}
@@ -0,0 +1,153 @@
+// faceProperties.js - Geometric properties of a single face, computed locally with
+// BRepGProp (area, centroid) and BRepAdaptor_Surface (surface type, normal, radius, axis)
+
+// Samples per parameter direction used for the average normal
+const NORMAL_SAMPLES = 5;
+
+// Name of a GeomAbs_SurfaceType value, e.g. 'Plane', 'Cylinder' or 'BSplineSurface'
+export function surfaceTypeName(openCascade, surfaceType) {
+  const entry = Object.entries(openCascade.GeomAbs_SurfaceType).find(([, value]) => value === surfaceType);
+  return entry ? entry[0].replace('GeomAbs_', '') : 'Unknown';
+}
+
+const pointToArray = (point) => [point.X(), point.Y(), point.Z()];
+
+// Axis as plain arrays: { origin, direction }
+function axisToObject(axis) {
+  const location = axis.Location();
+  const direction = axis.Direction();
+  const result = { origin: pointToArray(location), direction: pointToArray(direction) };
+  location.delete();
+  direction.delete();
+  axis.delete();
+  return result;
+}
+
+// Normal averaged over a grid of the face's parameter range, pointing out of the material.
+// Closed faces (full cylinders, spheres) average out to zero and give [0, 0, 0]
+function averageNormal(openCascade, surface, reversed) {
+  const u0 = surface.FirstUParameter();
+  const u1 = surface.LastUParameter();
+  const v0 = surface.FirstVParameter();
+  const v1 = surface.LastVParameter();
+  const point = new openCascade.gp_Pnt_1();
+  const d1u = new openCascade.gp_Vec_1();
+  const d1v = new openCascade.gp_Vec_1();
+  const sum = [0, 0, 0];
+
+  for (let i = 0; i < NORMAL_SAMPLES; i++) {
+    for (let j = 0; j < NORMAL_SAMPLES; j++) {
+      const u = u0 + (u1 - u0) * (i + 0.5) / NORMAL_SAMPLES;
+      const v = v0 + (v1 - v0) * (j + 0.5) / NORMAL_SAMPLES;
+      surface.D1(u, v, point, d1u, d1v);
+      const normal = d1u.Crossed(d1v);
+      const length = normal.Magnitude();
+      if (length > 1e-12) {
+        sum[0] += normal.X() / length;
+        sum[1] += normal.Y() / length;
+        sum[2] += normal.Z() / length;
+      }
+      normal.delete();
+    }
+  }
+
+  point.delete();
+  d1u.delete();
+  d1v.delete();
+
+  const length = Math.hypot(sum[0], sum[1], sum[2]);
+  if (length < 1e-6 * NORMAL_SAMPLES * NORMAL_SAMPLES) {
+    return [0, 0, 0];
+  }
+  const sign = reversed ? -1 : 1;
+  return sum.map(component => sign * component / length);
+}
+
+// Radius and axis of analytic surfaces; other surface types have none
+function analyticProperties(surface, surfaceType) {
+  switch (surfaceType) {
+    case 'Plane': {
+      const plane = surface.Plane();
+      const result = { axis: axisToObject(plane.Axis()) };
+      plane.delete();
+      return result;
+    }
+    case 'Cylinder': {
+      const cylinder = surface.Cylinder();
+      const result = { radius: cylinder.Radius(), axis: axisToObject(cylinder.Axis()) };
+      cylinder.delete();
+      return result;
+    }
+    case 'Cone': {
+      const cone = surface.Cone();
+      const apex = cone.Apex();
+      // The radius of a cone is taken at its reference plane
+      const result = {
+        radius: cone.RefRadius(),
+        semiAngle: cone.SemiAngle(),
+        apex: pointToArray(apex),
+        axis: axisToObject(cone.Axis())
+      };
+      apex.delete();
+      cone.delete();
+      return result;
+    }
+    case 'Sphere': {
+      const sphere = surface.Sphere();
+      const centre = sphere.Location();
+      const result = { radius: sphere.Radius(), center: pointToArray(centre) };
+      centre.delete();
+      sphere.delete();
+      return result;
+    }
+    case 'Torus': {
+      const torus = surface.Torus();
+      const result = {
+        radius: torus.MajorRadius(),
+        minorRadius: torus.MinorRadius(),
+        axis: axisToObject(torus.Axis())
+      };
+      torus.delete();
+      return result;
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Computes the geometric properties of a face
+ * @param {Object} openCascade - The OpenCascade.js instance
+ * @param {Object} face - The TopoDS_Face, already placed in the model
+ * @returns {Object} { surfaceType, area, centroid, normal } plus, for analytic surfaces,
+ *                   `radius`, `axis: { origin, direction }` and type specific values
+ *                   (`minorRadius` for tori, `semiAngle`/`apex` for cones, `center` for spheres)
+ */
+export function computeFaceProperties(openCascade, face) {
+  const topoFace = openCascade.TopoDS.Face_1(face);
+
+  const props = new openCascade.GProp_GProps_1();
+  openCascade.BRepGProp.SurfaceProperties_1(topoFace, props, false, false);
+  const centre = props.CentreOfMass();
+  const area = props.Mass();
+  const centroid = pointToArray(centre);
+  centre.delete();
+  props.delete();
+
+  // BRepAdaptor_Surface applies the face location, so everything is in model coordinates
+  const surface = new openCascade.BRepAdaptor_Surface_2(topoFace, true);
+  const surfaceType = surfaceTypeName(openCascade, surface.GetType());
+  const reversed = topoFace.Orientation_1() === openCascade.TopAbs_Orientation.TopAbs_REVERSED;
+
+  const properties = {
+    surfaceType: surfaceType,
+    area: area,
+    centroid: centroid,
+    normal: averageNormal(openCascade, surface, reversed),
+    ...analyticProperties(surface, surfaceType)
+  };
+
+  surface.delete();
+  topoFace.delete();
+  return properties;
+}
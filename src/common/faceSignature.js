@@ -0,0 +1,127 @@
+// faceSignature.js - Persistent face identifiers
+// Face indices are TopExp_Explorer ordinals and shift whenever a model is re-exported.
+// A signature describes the face by its geometry (surface type, area, centroid, average
+// normal) instead, so saved groups can be bound again to a re-imported model.
+
+import { computeFaceProperties } from './faceProperties.js';
+
+// FNV-1a, enough to give a short and deterministic id for the rounded face description
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Rounds to a multiple of `step`; -0 is folded into 0 so it hashes the same
+const quantize = (value, step) => (Math.round(value / step) * step + 0).toFixed(Math.max(0, -Math.floor(Math.log10(step))));
+
+/**
+ * Builds the signature of a face from its geometric properties
+ * @param {Object} properties - As returned by computeFaceProperties
+ * @param {number} tolerance - Position tolerance in model units, usually a fraction of the model size
+ * @returns {Object} { hash, surfaceType, area, centroid, normal, tolerance }
+ */
+export function signatureFromProperties(properties, tolerance) {
+  const { surfaceType, area, centroid, normal } = properties;
+
+  // Areas are compared with 4 significant digits, positions on the tolerance grid
+  const description = [
+    surfaceType,
+    area.toPrecision(4),
+    ...centroid.map(value => quantize(value, tolerance)),
+    ...normal.map(value => quantize(value, 1e-3))
+  ].join('|');
+
+  return {
+    hash: hashString(description),
+    surfaceType: surfaceType,
+    area: area,
+    centroid: centroid,
+    normal: normal,
+    tolerance: tolerance
+  };
+}
+
+// Computes the signature of a face (a TopoDS_Face already placed in the model)
+export function computeFaceSignature(openCascade, face, tolerance) {
+  return signatureFromProperties(computeFaceProperties(openCascade, face), tolerance);
+}
+
+// True when two signatures describe the same face within their tolerance. Used when the
+// hashes differ, e.g. because a value fell on the other side of a rounding boundary
+function signaturesMatch(saved, candidate) {
+  if (saved.surfaceType !== candidate.surfaceType) return false;
+
+  const areaScale = Math.max(Math.abs(saved.area), Math.abs(candidate.area), 1e-12);
+  if (Math.abs(saved.area - candidate.area) / areaScale > 0.01) return false;
+
+  const tolerance = 10 * Math.max(saved.tolerance, candidate.tolerance);
+  const distance = Math.hypot(
+    saved.centroid[0] - candidate.centroid[0],
+    saved.centroid[1] - candidate.centroid[1],
+    saved.centroid[2] - candidate.centroid[2]
+  );
+  if (distance > tolerance) return false;
+
+  const dot = saved.normal[0] * candidate.normal[0] + saved.normal[1] * candidate.normal[1] + saved.normal[2] * candidate.normal[2];
+  const closed = [saved.normal, candidate.normal].some(normal => normal.every(component => component === 0));
+  return closed || dot > 0.99;
+}
+
+/**
+ * Maps saved groups of face signatures onto the faces of a newly imported model
+ * @param {Object} savedGroups - Group name -> array of signatures, as saved with the groups
+ * @param {Map} faceSignatures - Face index -> signature of the current model
+ * @returns {Object} { groups: Map of group name -> face indices, unmatched: [{ group, signature }] }
+ */
+export function rebindFaceGroups(savedGroups, faceSignatures) {
+  // Exact matches first, by hash
+  const facesByHash = new Map();
+  faceSignatures.forEach((signature, faceIndex) => {
+    if (!facesByHash.has(signature.hash)) {
+      facesByHash.set(signature.hash, []);
+    }
+    facesByHash.get(signature.hash).push(faceIndex);
+  });
+
+  const groups = new Map();
+  const unmatched = [];
+
+  Object.entries(savedGroups).forEach(([groupName, signatures]) => {
+    const faceIndices = [];
+
+    signatures.forEach(signature => {
+      let faceIndex = (facesByHash.get(signature.hash) || []).find(candidate => !faceIndices.includes(candidate));
+
+      if (faceIndex === undefined) {
+        // No exact match, fall back to the closest face within tolerance
+        let bestDistance = Infinity;
+        faceSignatures.forEach((candidate, candidateIndex) => {
+          if (faceIndices.includes(candidateIndex) || !signaturesMatch(signature, candidate)) return;
+          const distance = Math.hypot(
+            signature.centroid[0] - candidate.centroid[0],
+            signature.centroid[1] - candidate.centroid[1],
+            signature.centroid[2] - candidate.centroid[2]
+          );
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            faceIndex = candidateIndex;
+          }
+        });
+      }
+
+      if (faceIndex === undefined) {
+        unmatched.push({ group: groupName, signature: signature });
+      } else {
+        faceIndices.push(faceIndex);
+      }
+    });
+
+    groups.set(groupName, faceIndices);
+  });
+
+  return { groups, unmatched };
+}
@@ -256,8 +256,14 @@ export function createCastingAwareFaceSelector(scene, camera, castingService) {
             geometry: intersected.geometry
         };
 
-        // Get detailed geometry from FreeCAD service if available
-        if (castingService && castingService.isAvailable && castingService.currentAnalysis) {
+        // Geometry computed locally by the CAD kernel on import
+        const faceData = group.userData.faceMap && group.userData.faceMap.get(faceIndex);
+        if (faceData && faceData.properties) {
+            faceInfo.properties = faceData.properties;
+        }
+
+        // Only ask the FreeCAD service when there are no local properties
+        if (!faceInfo.properties && castingService && castingService.isAvailable && castingService.currentAnalysis) {
             try {
                 const detailedGeometry = await castingService.getFaceGeometry(faceIndex);
                 faceInfo.detailedGeometry = detailedGeometry;
@@ -288,6 +294,20 @@ function highlightSelectedFace(group, selectedMesh) {
     selectedMesh.material.color.setHex(0x00ff00); // Green highlight
 }
 
+// Converts local face properties (see computeFaceProperties) to the FreeCAD service's face geometry format
+function propertiesToDetailedGeometry(properties) {
+    if (!properties) return null;
+
+    return {
+        face_type: properties.surfaceType,
+        area: properties.area,
+        center: properties.centroid,
+        radius: properties.radius,
+        // Closed faces have no single normal
+        normal: properties.normal.every(value => value === 0) ? null : properties.normal
+    };
+}
+
 // UI update functions for casting analysis results
 export class CastingAnalysisUI {
     constructor() {
@@ -306,7 +326,8 @@ export class CastingAnalysisUI {
     }
 
     updateFaceInfo(faceInfo) {
-        const { faceIndex, featureType, detailedGeometry, featureData } = faceInfo;
+        const { faceIndex, featureType, featureData } = faceInfo;
+        const detailedGeometry = faceInfo.detailedGeometry || propertiesToDetailedGeometry(faceInfo.properties);
 
         let html = `
             <div class="info-header">Face Analysis</div>
@@ -0,0 +1,208 @@
+// modelProperties.js - Whole-model mass properties, bounding boxes and declared units
+// Used to sanity-check the model (and its units) before it is sent to simulation.
+
+const xyzToArray = (xyz) => [xyz.X(), xyz.Y(), xyz.Z()];
+
+// Scale factors to millimetres, the length unit OpenCascade converts STEP files to on import
+const SI_PREFIXES = {
+  '': { symbol: 'm', toMillimetres: 1000 },
+  KILO: { symbol: 'km', toMillimetres: 1e6 },
+  CENTI: { symbol: 'cm', toMillimetres: 10 },
+  MILLI: { symbol: 'mm', toMillimetres: 1 },
+  MICRO: { symbol: 'µm', toMillimetres: 1e-3 },
+  NANO: { symbol: 'nm', toMillimetres: 1e-6 }
+};
+
+const CONVERSION_UNITS = {
+  INCH: { symbol: 'in', toMillimetres: 25.4 },
+  FOOT: { symbol: 'ft', toMillimetres: 304.8 },
+  YARD: { symbol: 'yd', toMillimetres: 914.4 },
+  MILE: { symbol: 'mi', toMillimetres: 1609344 },
+  MIL: { symbol: 'mil', toMillimetres: 0.0254 }
+};
+
+// Reads a LENGTH_UNIT complex entity, e.g. ( LENGTH_UNIT() NAMED_UNIT(*) SI_UNIT(.MILLI.,.METRE.) )
+function parseLengthUnit(entity) {
+  const conversion = /CONVERSION_BASED_UNIT\s*\(\s*'([^']*)'/i.exec(entity);
+  if (conversion) {
+    const name = conversion[1].trim().toUpperCase();
+    const known = CONVERSION_UNITS[name];
+    return { name: name.toLowerCase(), symbol: known ? known.symbol : name.toLowerCase(), toMillimetres: known ? known.toMillimetres : null };
+  }
+
+  const si = /SI_UNIT\s*\(\s*(?:\.(\w+)\.|\$)\s*,\s*\.METRE\.\s*\)/i.exec(entity);
+  if (si) {
+    const prefix = (si[1] || '').toUpperCase();
+    const known = SI_PREFIXES[prefix] || null;
+    return {
+      name: `${prefix.toLowerCase()}metre`,
+      symbol: known ? known.symbol : `${prefix.toLowerCase()}m`,
+      toMillimetres: known ? known.toMillimetres : null
+    };
+  }
+
+  return null;
+}
+
+// The file is scanned in chunks, so a large model is never decoded into one string. Chunks
+// overlap by more than a unit entity is long, so none is cut off in every chunk
+const UNIT_SCAN_CHUNK = 1 << 20;
+const UNIT_SCAN_OVERLAP = 1 << 12;
+
+// Calls visit(text) with each chunk of the file in order, until it returns true
+function scanText(fileContents, visit) {
+  if (typeof fileContents === 'string') {
+    visit(fileContents);
+    return;
+  }
+  const decoder = new TextDecoder('latin1');
+  for (let start = 0; start < fileContents.length; start += UNIT_SCAN_CHUNK - UNIT_SCAN_OVERLAP) {
+    const end = Math.min(start + UNIT_SCAN_CHUNK, fileContents.length);
+    if (visit(decoder.decode(fileContents.subarray(start, end))) || end === fileContents.length) {
+      return;
+    }
+  }
+}
+
+/**
+ * Finds the length unit a STEP file declares for its geometry
+ * @param {Uint8Array|string} fileContents - The raw STEP file
+ * @returns {Object|null} { name, symbol, toMillimetres } or null if no length unit is declared.
+ *                        toMillimetres is null for conversion-based units we don't know.
+ */
+export function detectSTEPLengthUnit(fileContents) {
+  // Length unit entities by id, e.g. #12 = ( LENGTH_UNIT() NAMED_UNIT(*) SI_UNIT(.MILLI.,.METRE.) );
+  const unitPattern = /#(\d+)\s*=\s*(\([^;]*?LENGTH_UNIT\s*\(\s*\)[^;]*\))\s*;/gi;
+  const contextPattern = /GLOBAL_UNIT_ASSIGNED_CONTEXT\s*\(\s*\(([^)]*)\)/i;
+  const units = new Map();
+  let contextIds = null;
+
+  // The units in effect are the ones the representation context points at. A conversion
+  // based unit (inch) refers to an SI unit (mm) too, so the first LENGTH_UNIT in the file
+  // is not necessarily the declared one
+  const declaredUnit = () => (contextIds || []).map(id => units.get(id)).find(entity => entity) || null;
+
+  // The units sit near the start of the DATA section in most files, so this usually stops early
+  scanText(fileContents, text => {
+    for (const [, id, entity] of text.matchAll(unitPattern)) {
+      if (!units.has(id)) {
+        units.set(id, entity);
+      }
+    }
+    if (!contextIds) {
+      const context = contextPattern.exec(text);
+      if (context) {
+        contextIds = context[1].split(',').map(ref => ref.trim().replace('#', ''));
+      }
+    }
+    return declaredUnit() !== null;
+  });
+
+  const declared = declaredUnit();
+  if (declared) {
+    return parseLengthUnit(declared);
+  }
+
+  // Otherwise take any length unit, preferring conversion based ones for the reason above
+  const entities = Array.from(units.values());
+  const conversion = entities.find(entity => /CONVERSION_BASED_UNIT/i.test(entity));
+  return entities.length > 0 ? parseLengthUnit(conversion || entities[0]) : null;
+}
+
+// Number of solids in the shape
+function countSolids(openCascade, shape) {
+  const explorer = new openCascade.TopExp_Explorer_2(shape, openCascade.TopAbs_ShapeEnum.TopAbs_SOLID, openCascade.TopAbs_ShapeEnum.TopAbs_SHAPE);
+  let count = 0;
+  for (; explorer.More(); explorer.Next()) {
+    count++;
+  }
+  explorer.delete();
+  return count;
+}
+
+// Axis-aligned bounding box, or null for an empty shape
+function axisAlignedBox(openCascade, shape) {
+  const box = new openCascade.Bnd_Box_1();
+  openCascade.BRepBndLib.Add(shape, box, false);
+
+  if (box.IsVoid()) {
+    box.delete();
+    return null;
+  }
+
+  const cornerMin = box.CornerMin();
+  const cornerMax = box.CornerMax();
+  const min = [cornerMin.X(), cornerMin.Y(), cornerMin.Z()];
+  const max = [cornerMax.X(), cornerMax.Y(), cornerMax.Z()];
+  cornerMin.delete();
+  cornerMax.delete();
+  box.delete();
+
+  return { min: min, max: max, size: max.map((value, i) => value - min[i]) };
+}
+
+// Oriented (minimal) bounding box, or null for an empty shape
+function orientedBox(openCascade, shape) {
+  const obb = new openCascade.Bnd_OBB_1();
+  // Exact geometry rather than the display triangulation, optimal rather than fast
+  openCascade.BRepBndLib.AddOBB(shape, obb, false, true, false);
+
+  if (obb.IsVoid()) {
+    obb.delete();
+    return null;
+  }
+
+  const result = {
+    center: xyzToArray(obb.Center()),
+    axes: [xyzToArray(obb.XDirection()), xyzToArray(obb.YDirection()), xyzToArray(obb.ZDirection())],
+    size: [2 * obb.XHSize(), 2 * obb.YHSize(), 2 * obb.ZHSize()]
+  };
+  obb.delete();
+  return result;
+}
+
+/**
+ * Computes mass properties and bounding boxes of a whole model
+ * @param {Object} openCascade - The OpenCascade.js instance
+ * @param {Object} shape - The imported TopoDS_Shape
+ * @returns {Object} { solidCount, volume, area, centerOfMass, inertia, boundingBox, orientedBoundingBox }.
+ *                   Volume properties use a density of 1 and are null when there are no solids;
+ *                   `inertia` is the 3x3 matrix of inertia at the center of mass.
+ */
+export function computeModelProperties(openCascade, shape) {
+  const solidCount = countSolids(openCascade, shape);
+
+  const surfaceProps = new openCascade.GProp_GProps_1();
+  openCascade.BRepGProp.SurfaceProperties_1(shape, surfaceProps, false, false);
+  const area = surfaceProps.Mass();
+  surfaceProps.delete();
+
+  let volume = null;
+  let centerOfMass = null;
+  let inertia = null;
+
+  if (solidCount > 0) {
+    const volumeProps = new openCascade.GProp_GProps_1();
+    openCascade.BRepGProp.VolumeProperties_1(shape, volumeProps, true, false, false);
+    volume = volumeProps.Mass();
+
+    const centre = volumeProps.CentreOfMass();
+    centerOfMass = [centre.X(), centre.Y(), centre.Z()];
+    centre.delete();
+
+    const matrix = volumeProps.MatrixOfInertia();
+    inertia = [1, 2, 3].map(row => [1, 2, 3].map(col => matrix.Value(row, col)));
+    matrix.delete();
+    volumeProps.delete();
+  }
+
+  return {
+    solidCount: solidCount,
+    volume: volume,
+    area: area,
+    centerOfMass: centerOfMass,
+    inertia: inertia,
+    boundingBox: axisAlignedBox(openCascade, shape),
+    orientedBoundingBox: orientedBox(openCascade, shape)
+  };
+}
@@ -3,6 +3,7 @@ import {
   Face3,
   Vector3
 } from 'three';
+import { DEFAULT_TESSELLATION, resolveTessellation } from './visualize';
 
 /**
  * Helper object for working with OpenCascade.js - a JavaScript port of the OpenCascade
@@ -24,17 +25,21 @@ const openCascadeHelper = {
    * but for rendering we need triangulated meshes
    * 
    * @param {Object} shape - The OpenCascade shape to tessellate
+   * @param {Object} tessellation - { relative, linearDeflection, angularDeflection }, see DEFAULT_TESSELLATION
    * @returns {Array} List of faces, each containing vertex coordinates, normal coordinates, and triangle indices
    */
-  tessellate(shape) {
+  tessellate(shape, tessellation = DEFAULT_TESSELLATION) {
     const facelist = [];
     
+    // Relative settings are scaled by the bounding box diagonal into absolute deflections
+    const { linearDeflection, angularDeflection } = resolveTessellation(this.openCascade, shape, tessellation);
+    
     // Create a mesh of the shape with specified parameters:
-    // - 0.1: linear deflection (controls tessellation precision)
-    // - false: not relative deflection
-    // - 0.5: angular deflection (controls tessellation precision for curved surfaces)
+    // - linearDeflection: controls tessellation precision
+    // - false: not relative deflection (already resolved above)
+    // - angularDeflection: controls tessellation precision for curved surfaces
     // - false: not interior only
-    new this.openCascade.BRepMesh_IncrementalMesh_2(shape, 0.1, false, 0.5, false);
+    new this.openCascade.BRepMesh_IncrementalMesh_2(shape, linearDeflection, false, angularDeflection, false);
     
     // Create an explorer to iterate through all faces in the shape
     const ExpFace = new this.openCascade.TopExp_Explorer_1();
@@ -0,0 +1,175 @@
+// stlExport.js - STL export of B-Rep faces. The faces are meshed with the export tessellation
+// and written by OCCT's StlAPI as binary or ASCII STL. Every step is checked: a face without
+// triangles, a failed write or a file that doesn't hold every triangle is an error, never a
+// partial or empty file.
+import { clearTriangulation } from './visualize.js';
+
+export const STL_FORMATS = ['binary', 'ascii'];
+
+// Binary STL: 80 byte header, uint32 triangle count, then 50 bytes per triangle
+const BINARY_HEADER_SIZE = 84;
+const BINARY_TRIANGLE_SIZE = 50;
+
+// Errors carry a code, like the CAD kernel's, so callers can tell failures apart
+function exportError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Number of triangles of a meshed face, 0 if it has no triangulation
+function faceTriangleCount(openCascade, face) {
+  const location = new openCascade.TopLoc_Location_1();
+  const topoFace = openCascade.TopoDS.Face_1(face);
+  const triangulation = openCascade.BRep_Tool.Triangulation(topoFace, location, 0 /* == Poly_MeshPurpose_NONE */);
+  const count = triangulation.IsNull() ? 0 : triangulation.get().NbTriangles();
+  [triangulation, topoFace, location].forEach(object => object.delete());
+  return count;
+}
+
+/**
+ * Triangles stored in an STL file, read back from the file itself
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} format - 'binary' or 'ascii'
+ * @returns {number} Triangle count, or -1 if a binary file's size doesn't match its header
+ */
+export function countSTLTriangles(bytes, format) {
+  if (format === 'ascii') {
+    const text = new TextDecoder().decode(bytes);
+    return (text.match(/^\s*facet normal/gm) || []).length;
+  }
+  if (bytes.length < BINARY_HEADER_SIZE) return -1;
+  const count = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(80, true);
+  return bytes.length === BINARY_HEADER_SIZE + count * BINARY_TRIANGLE_SIZE ? count : -1;
+}
+
+// Compound of the given faces
+function makeCompound(openCascade, faces) {
+  const builder = new openCascade.BRep_Builder();
+  const compound = new openCascade.TopoDS_Compound();
+  builder.MakeCompound(compound);
+  faces.forEach(({ face }) => builder.Add(compound, face));
+  builder.delete();
+  return compound;
+}
+
+// Meshes the faces in one pass, so faces sharing an edge share its nodes and the mesh has no
+// gaps between them. Returns the number of triangles of each face index
+function meshFaces(openCascade, faces, name, deflection) {
+  const compound = makeCompound(openCascade, faces);
+  try {
+    // The faces are shared with the displayed model, drop their display mesh first
+    clearTriangulation(openCascade, compound);
+    try {
+      new openCascade.BRepMesh_IncrementalMesh_2(compound, deflection.linearDeflection, false, deflection.angularDeflection, false).delete();
+    } catch (error) {
+      throw exportError('STL_MESH_FAILED', `Meshing ${name} failed: ${error.message || error}`);
+    }
+  } finally {
+    compound.delete();
+  }
+
+  // StlAPI skips faces without triangles, so they are caught here instead of going missing
+  const triangleCounts = new Map();
+  const unmeshed = [];
+  faces.forEach(({ faceIndex, face }) => {
+    const count = faceTriangleCount(openCascade, face);
+    if (count === 0) {
+      unmeshed.push(faceIndex);
+    }
+    triangleCounts.set(faceIndex, count);
+  });
+  if (unmeshed.length > 0) {
+    throw exportError('STL_MESH_FAILED', `${unmeshed.length} faces of ${name} could not be meshed: #${unmeshed.join(', #')}`);
+  }
+  return triangleCounts;
+}
+
+// Writes already meshed faces as one STL solid and checks the file holds all their triangles
+function writeMeshedSTL(openCascade, faces, name, format, triangleCount, path) {
+  const compound = makeCompound(openCascade, faces);
+  try {
+    if (!openCascade.StlAPI.Write(compound, path, format === 'ascii')) {
+      throw exportError('STL_WRITE_FAILED', `Writing the STL file of ${name} failed`);
+    }
+    let data = openCascade.FS.readFile(path);
+
+    if (format === 'ascii') {
+      // StlAPI leaves the solid unnamed
+      const text = new TextDecoder().decode(data).replace(/^solid.*$/m, `solid ${name}`).replace(/^endsolid.*$/m, `endsolid ${name}`);
+      data = new TextEncoder().encode(text);
+    }
+
+    const written = countSTLTriangles(data, format);
+    if (written !== triangleCount) {
+      throw exportError('STL_INCOMPLETE', `The STL file of ${name} holds ${written} of its ${triangleCount} triangles`);
+    }
+    return data;
+  } finally {
+    if (openCascade.FS.analyzePath(path).exists) {
+      openCascade.FS.unlink(path);
+    }
+    compound.delete();
+  }
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Meshes faces with the export deflection and writes them as one STL solid
+ * @param {Object} openCascade - Initialized OpenCascade instance
+ * @param {Object[]} faces - [{ faceIndex, face }] with the OCCT faces to export
+ * @param {Object} options - { name: solid name (ASCII only), format: 'binary' or 'ascii',
+ *                            deflection: absolute values, see resolveTessellation,
+ *                            fileName: scratch file in the Emscripten file system }
+ * @returns {Object} { data: Uint8Array with the file, triangleCount }
+ */
+export function writeFacesSTL(openCascade, faces, options) {
+  const { name, format = 'binary', deflection, fileName = 'export.stl' } = options;
+  if (!STL_FORMATS.includes(format)) {
+    throw exportError('STL_FORMAT', `Unknown STL format '${format}', use ${STL_FORMATS.join(' or ')}`);
+  }
+  if (faces.length === 0) {
+    throw exportError('STL_EMPTY', `${name} has no faces to export`);
+  }
+
+  const triangleCount = sum(Array.from(meshFaces(openCascade, faces, name, deflection).values()));
+  const data = writeMeshedSTL(openCascade, faces, name, format, triangleCount, '/' + fileName);
+  return { data: data, triangleCount: triangleCount };
+}
+
+/**
+ * Writes several named solids into one ASCII STL file, `solid <name> ... endsolid <name>` for
+ * each, as CFD meshers expect one patch per solid. All faces are meshed together, so the
+ * solids meet without gaps
+ * @param {Object} openCascade - Initialized OpenCascade instance
+ * @param {Object[]} solids - [{ name, faces: [{ faceIndex, face }] }], in file order
+ * @param {Object} options - { deflection, fileName }, as for writeFacesSTL
+ * @returns {Object} { data: Uint8Array with the file, triangleCount,
+ *                     solids: [{ name, faceCount, triangleCount }] }
+ */
+export function writeMultiSolidSTL(openCascade, solids, options) {
+  const { deflection, fileName = 'export.stl' } = options;
+  const empty = solids.filter(solid => solid.faces.length === 0);
+  if (solids.length === 0 || empty.length > 0) {
+    throw exportError('STL_EMPTY', solids.length === 0 ? 'There are no groups to export' : `${empty.map(solid => solid.name).join(', ')} has no faces to export`);
+  }
+
+  const allFaces = new Map();
+  solids.forEach(solid => solid.faces.forEach(entry => allFaces.set(entry.faceIndex, entry)));
+  const triangleCounts = meshFaces(openCascade, Array.from(allFaces.values()), 'the groups', deflection);
+
+  const parts = [];
+  const written = solids.map(({ name, faces }) => {
+    const triangleCount = sum(faces.map(({ faceIndex }) => triangleCounts.get(faceIndex)));
+    parts.push(writeMeshedSTL(openCascade, faces, name, 'ascii', triangleCount, '/' + fileName));
+    return { name: name, faceCount: faces.length, triangleCount: triangleCount };
+  });
+
+  const data = new Uint8Array(sum(parts.map(part => part.length)));
+  parts.reduce((offset, part) => {
+    data.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return { data: data, triangleCount: sum(written.map(solid => solid.triangleCount)), solids: written };
+}
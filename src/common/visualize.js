@@ -1,78 +1,351 @@
 import * as THREE from 'three'
+import { importSTEPAssembly, singlePartAssembly } from './xcafImport.js';
 
-// New function to import and create the face map
-export function importSTEP(openCascade, fileContents) {
+// Readers for each supported CAD exchange format, keyed by format name
+const CAD_READERS = {
+  step: (openCascade) => new openCascade.STEPControl_Reader_1(),
+  iges: (openCascade) => new openCascade.IGESControl_Reader_1()
+};
+
+// File extensions recognised for each supported format
+const CAD_EXTENSIONS = {
+  step: ['step', 'stp'],
+  iges: ['iges', 'igs']
+};
+
+// Builds the structured error returned when an import cannot produce a shape
+function importError(code, message, format = null) {
+  return {
+    shape: null,
+    faceMap: new Map(),
+    format: format,
+    error: { code: code, message: message, format: format }
+  };
+}
+
+// Decodes the first bytes of the file so the header can be sniffed
+function readFileHeader(fileContents, length = 1024) {
+  if (typeof fileContents === 'string') {
+    return fileContents.slice(0, length);
+  }
+  const bytes = fileContents instanceof ArrayBuffer ? new Uint8Array(fileContents) : fileContents;
+  // latin1 maps every byte to one character, so binary content cannot throw here
+  return new TextDecoder('latin1').decode(bytes.subarray(0, length));
+}
+
+// Determines the CAD format from the file extension, falling back to content sniffing
+export function detectCADFormat(fileName, fileContents) {
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  for (const [format, extensions] of Object.entries(CAD_EXTENSIONS)) {
+    if (extensions.includes(extension)) {
+      return format;
+    }
+  }
+  
+  if (!fileContents) {
+    return null;
+  }
+  
+  const header = readFileHeader(fileContents);
+  
+  // STEP (ISO 10303-21) files always open with this magic line
+  if (/^\s*ISO-10303-21\s*;/.test(header)) {
+    return 'step';
+  }
+  
+  // IGES files are 80 column records, the first one tagged "S" (start section) in column 73
+  const firstLine = header.split(/\r?\n/)[0];
+  if (firstLine.length >= 73 && firstLine.charAt(72) === 'S') {
+    return 'iges';
+  }
+  
+  return null;
+}
+
+// Imports a STEP or IGES file and creates the face map and assembly tree
+// fileContents is preferably a Uint8Array/ArrayBuffer; strings are still accepted
+export function importCADFile(openCascade, fileContents, fileName) {
+  // Emscripten's FS only takes strings and typed arrays, never a bare ArrayBuffer
+  if (fileContents instanceof ArrayBuffer) {
+    fileContents = new Uint8Array(fileContents);
+  }
+  
+  const fileType = detectCADFormat(fileName, fileContents);
+  
+  if (!fileType) {
+    console.error(`Unsupported CAD file format: ${fileName}`);
+    return importError('UNSUPPORTED_FORMAT', `Unsupported file format: ${fileName || 'unknown file'}. Please use a STEP or IGES file.`);
+  }
+  
+  const filePath = `/file.${fileType}`;
+  
   try {
-    // Determine the file type (assuming STEP)
-    const fileType = "step";
-    
     // Writes the uploaded file to Emscripten's Virtual Filesystem
     openCascade.FS.createDataFile("/", `file.${fileType}`, fileContents, true, true);
     
-    // Create the appropriate reader
-    const reader = new openCascade.STEPControl_Reader_1();
+    // STEP goes through XCAF first to keep the product tree, names and colors
+    if (fileType === 'step') {
+      const assemblyData = importSTEPAssembly(openCascade, `file.${fileType}`, fileName || 'Model');
+      if (assemblyData) {
+        console.log(`Assembly imported: ${assemblyData.faceMap.size} faces`);
+        return { ...assemblyData, format: fileType };
+      }
+      console.warn("XCAF could not transfer the file, falling back to the plain STEP reader");
+    }
+    
+    // Create the reader matching the file format
+    const reader = CAD_READERS[fileType](openCascade);
     
     // Read the file
     const readResult = reader.ReadFile(`file.${fileType}`);
     
-    if (readResult === openCascade.IFSelect_ReturnStatus.IFSelect_RetDone) {
-      console.log("File loaded successfully! Converting to OCC now...");
-      
-      // Transfer roots to OpenCascade model
-      const numRootsTransferred = reader.TransferRoots(new openCascade.Message_ProgressRange_1());
-      
-      // Get the shape
-      const shape = reader.OneShape();
-      
-      // Create a map of faces with unique IDs
-      const faceMap = new Map();
-      const ExpFace = new openCascade.TopExp_Explorer_1();
-      let faceIndex = 0;
-      
-      for (ExpFace.Init(shape, openCascade.TopAbs_ShapeEnum.TopAbs_FACE, openCascade.TopAbs_ShapeEnum.TopAbs_SHAPE); ExpFace.More(); ExpFace.Next()) {
-        faceIndex++;
-        const face = ExpFace.Current();
-        
-        // Store the face with a unique index
-        faceMap.set(faceIndex, {
-          face: face,  // Store reference
-        });
-      }
-      
-      // Print the face map to the console after creation
-      console.log("Face Map created during import:");
-      console.log(`Total faces in the imported model: ${faceMap.size}`);
-      
-      ExpFace.delete();
-      
-      // Remove the file when we're done (otherwise we run into errors on reupload)
-      openCascade.FS.unlink(`/file.${fileType}`);
-      
-      return {
-        shape: shape,
-        faceMap: faceMap
-      };
-    } else {
+    if (readResult !== openCascade.IFSelect_ReturnStatus.IFSelect_RetDone) {
       console.error("Something in OCCT went wrong trying to read the file");
-      return { shape: null, faceMap: new Map() };
+      reader.delete();
+      return importError('READ_FAILED', `Could not read ${fileName || 'file'} as ${fileType.toUpperCase()}`, fileType);
+    }
+    
+    console.log("File loaded successfully! Converting to OCC now...");
+    
+    // Transfer roots to OpenCascade model
+    reader.TransferRoots(new openCascade.Message_ProgressRange_1());
+    
+    // Get the shape
+    const shape = reader.OneShape();
+    reader.delete();
+    
+    if (shape.IsNull()) {
+      return importError('EMPTY_SHAPE', `${fileName || 'File'} does not contain any transferable geometry`, fileType);
     }
+    
+    const faceMap = createFaceMap(openCascade, shape);
+    
+    // Print the face map to the console after creation
+    console.log("Face Map created during import:");
+    console.log(`Total faces in the imported model: ${faceMap.size}`);
+    
+    return {
+      shape: shape,
+      faceMap: faceMap,
+      assembly: singlePartAssembly(fileName || 'Model', faceMap),
+      format: fileType
+    };
   } catch (error) {
-    console.error("Error in importSTEP:", error);
-    return { shape: null, faceMap: new Map() };
+    console.error("Error in importCADFile:", error);
+    return importError('IMPORT_EXCEPTION', error.message || String(error), fileType);
+  } finally {
+    // Remove the file when we're done (otherwise we run into errors on reupload)
+    if (openCascade.FS.analyzePath(filePath).exists) {
+      openCascade.FS.unlink(filePath);
+    }
   }
+}
+
+// Kept for existing callers; without a file name the format is sniffed from the content
+export function importSTEP(openCascade, fileContents, fileName) {
+  return importCADFile(openCascade, fileContents, fileName);
+}
 
+// Create a map of faces with unique IDs, in TopExp_Explorer order
+function createFaceMap(openCascade, shape) {
+  const faceMap = new Map();
+  const ExpFace = new openCascade.TopExp_Explorer_1();
+  let faceIndex = 0;
+  
+  for (ExpFace.Init(shape, openCascade.TopAbs_ShapeEnum.TopAbs_FACE, openCascade.TopAbs_ShapeEnum.TopAbs_SHAPE); ExpFace.More(); ExpFace.Next()) {
+    faceIndex++;
+    const face = ExpFace.Current();
+    
+    // Store the face with a unique index
+    faceMap.set(faceIndex, {
+      face: face,  // Store reference
+    });
+  }
+  
+  ExpFace.delete();
+  return faceMap;
+}
+
+// Tessellation used for display. With `relative` set, linearDeflection is a fraction
+// of the model's bounding box diagonal instead of an absolute distance in model units.
+// angularDeflection is in radians.
+export const DEFAULT_TESSELLATION = {
+  relative: true,
+  linearDeflection: 0.001,
+  angularDeflection: 0.5
+};
+
+// Finer tessellation used when exporting meshes
+export const DEFAULT_EXPORT_TESSELLATION = {
+  relative: true,
+  linearDeflection: 0.0002,
+  angularDeflection: 0.2
+};
+
+// Length of the shape's bounding box diagonal, 0 for an empty shape
+export function shapeDiagonal(openCascade, shape) {
+  const box = new openCascade.Bnd_Box_1();
+  openCascade.BRepBndLib.Add(shape, box, false);
+  
+  let diagonal = 0;
+  if (!box.IsVoid()) {
+    const min = box.CornerMin();
+    const max = box.CornerMax();
+    diagonal = min.Distance(max);
+    min.delete();
+    max.delete();
+  }
+  box.delete();
+  return diagonal;
+}
+
+// Converts tessellation settings into the absolute deflections BRepMesh expects
+export function resolveTessellation(openCascade, shape, settings = DEFAULT_TESSELLATION) {
+  let linearDeflection = settings.linearDeflection;
+  
+  if (settings.relative) {
+    const diagonal = shapeDiagonal(openCascade, shape);
+    // An empty or degenerate box leaves nothing to scale by, keep the ratio as is
+    linearDeflection = diagonal > 0 ? settings.linearDeflection * diagonal : settings.linearDeflection;
+  }
   
   return {
-    shape: shape,
-    faceMap: faceMap
+    linearDeflection: linearDeflection,
+    angularDeflection: settings.angularDeflection
   };
 }
 
+// Drops existing triangulations, BRepMesh otherwise keeps a mesh that is already fine enough
+export function clearTriangulation(openCascade, shape) {
+  openCascade.BRepTools.Clean(shape, true);
+}
+
+// Meshes a single face and returns its raw buffers, or null if it has no triangulation.
+// Plain typed arrays (rather than a BufferGeometry) so the CAD kernel worker can transfer them.
+// `deflection` holds absolute values, see resolveTessellation.
+export function triangulateFace(openCascade, myShape, deflection = { linearDeflection: 0.1, angularDeflection: 0.5 }) {
+  const myFace = openCascade.TopoDS.Face_1(myShape);
+  
+  let inc;
+  try {
+    // In case some of the faces cannot be visualized
+    inc = new openCascade.BRepMesh_IncrementalMesh_2(myFace, deflection.linearDeflection, false, deflection.angularDeflection, false);
+  } catch (e) {
+    console.error('face visualizing failed');
+    myFace.delete();
+    return null;
+  }
+  
+  const aLocation = new openCascade.TopLoc_Location_1();
+  const myT = openCascade.BRep_Tool.Triangulation(myFace, aLocation, 0 /* == Poly_MeshPurpose_NONE */);
+  
+  if (myT.IsNull()) {
+    aLocation.delete();
+    myT.delete();
+    inc.delete();
+    myFace.delete();
+    return null;
+  }
+  
+  const pc = new openCascade.Poly_Connect_2(myT);
+  const triangulation = myT.get();
+  let vertices = new Float32Array(triangulation.NbNodes() * 3);
+  
+  // Write vertex buffer
+  for (let i = 1; i <= triangulation.NbNodes(); i++) {
+    const t1 = aLocation.Transformation();
+    const p = triangulation.Node(i);
+    const p1 = p.Transformed(t1);
+    vertices[3 * (i - 1)] = p1.X();
+    vertices[3 * (i - 1) + 1] = p1.Y();
+    vertices[3 * (i - 1) + 2] = p1.Z();
+    p.delete();
+    t1.delete();
+    p1.delete();
+  }
+  
+  // Write normal buffer
+  const myNormal = new openCascade.TColgp_Array1OfDir_2(1, triangulation.NbNodes());
+  openCascade.StdPrs_ToolTriangulatedShape.Normal(myFace, pc, myNormal);
+  let normals = new Float32Array(myNormal.Length() * 3);
+  
+  for (let i = myNormal.Lower(); i <= myNormal.Upper(); i++) {
+    const t1 = aLocation.Transformation();
+    const d1 = myNormal.Value(i);
+    const d = d1.Transformed(t1);
+    normals[3 * (i - 1)] = d.X();
+    normals[3 * (i - 1) + 1] = d.Y();
+    normals[3 * (i - 1) + 2] = d.Z();
+    t1.delete();
+    d1.delete();
+    d.delete();
+  }
+  myNormal.delete();
+  
+  // Write triangle buffer
+  const orient = myFace.Orientation_1();
+  const triangles = myT.get().Triangles();
+  let indices;
+  let triLength = triangles.Length() * 3;
+  
+  if (triLength > 65535)
+    indices = new Uint32Array(triLength);
+  else
+    indices = new Uint16Array(triLength);
+  
+  for (let nt = 1; nt <= myT.get().NbTriangles(); nt++) {
+    const t = triangles.Value(nt);
+    let n1 = t.Value(1);
+    let n2 = t.Value(2);
+    let n3 = t.Value(3);
+    
+    if (orient !== openCascade.TopAbs_Orientation.TopAbs_FORWARD) {
+      let tmp = n1;
+      n1 = n2;
+      n2 = tmp;
+    }
+    
+    indices[3 * (nt - 1)] = n1 - 1;
+    indices[3 * (nt - 1) + 1] = n2 - 1;
+    indices[3 * (nt - 1) + 2] = n3 - 1;
+    t.delete();
+  }
+  triangles.delete();
+  
+  pc.delete();
+  aLocation.delete();
+  myT.delete();
+  inc.delete();
+  myFace.delete();
+  
+  return {
+    position: vertices,
+    normal: normals,
+    index: indices
+  };
+}
+
+// Wraps the raw buffers of a face into a Three.js geometry linked back to the face index
+export function createFaceGeometry(faceIndex, buffers) {
+  let geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(buffers.position, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(buffers.normal, 3));
+  geometry.setIndex(new THREE.BufferAttribute(buffers.index, 1));
+  
+  // Store metadata to link back to original face
+  geometry.userData = {
+    faceIndex: faceIndex
+  };
+  
+  return geometry;
+}
+
 // Modified visualization function that uses imported data with face mapping
-export default function visualize(openCascade, importedData) {
+export default function visualize(openCascade, importedData, tessellation = DEFAULT_TESSELLATION) {
   // Extract shape and faceMap from imported data
   const shape = importedData.shape;
   const faceMap = importedData.faceMap;
+  const deflection = resolveTessellation(openCascade, shape, tessellation);
   
   let geometries = [];
   const ExpFace = new openCascade.TopExp_Explorer_1();
@@ -81,113 +354,21 @@ export default function visualize(openCascade, importedData) {
   for (ExpFace.Init(shape, openCascade.TopAbs_ShapeEnum.TopAbs_FACE, openCascade.TopAbs_ShapeEnum.TopAbs_SHAPE); ExpFace.More(); ExpFace.Next()) {
     faceIndex++;
     const myShape = ExpFace.Current();
-    const myFace = openCascade.TopoDS.Face_1(myShape);
-    
-    let inc;
-    try {
-      // In case some of the faces cannot be visualized
-      inc = new openCascade.BRepMesh_IncrementalMesh_2(myFace, 0.1, false, 0.5, false);
-    } catch (e) {
-      console.error('face visualizing failed');
-      continue;
-    }
-    
-    const aLocation = new openCascade.TopLoc_Location_1();
-    const myT = openCascade.BRep_Tool.Triangulation(myFace, aLocation, 0 /* == Poly_MeshPurpose_NONE */);
+    const buffers = triangulateFace(openCascade, myShape, deflection);
+    myShape.delete();
     
-    if (myT.IsNull()) {
+    if (!buffers) {
       continue;
     }
     
-    const pc = new openCascade.Poly_Connect_2(myT);
-    const triangulation = myT.get();
-    let vertices = new Float32Array(triangulation.NbNodes() * 3);
-    
-    // Write vertex buffer
-    for (let i = 1; i <= triangulation.NbNodes(); i++) {
-      const t1 = aLocation.Transformation();
-      const p = triangulation.Node(i);
-      const p1 = p.Transformed(t1);
-      vertices[3 * (i - 1)] = p1.X();
-      vertices[3 * (i - 1) + 1] = p1.Y();
-      vertices[3 * (i - 1) + 2] = p1.Z();
-      p.delete();
-      t1.delete();
-      p1.delete();
-    }
-    
-    // Write normal buffer
-    const myNormal = new openCascade.TColgp_Array1OfDir_2(1, triangulation.NbNodes());
-    openCascade.StdPrs_ToolTriangulatedShape.Normal(myFace, pc, myNormal);
-    let normals = new Float32Array(myNormal.Length() * 3);
-    
-    for (let i = myNormal.Lower(); i <= myNormal.Upper(); i++) {
-      const t1 = aLocation.Transformation();
-      const d1 = myNormal.Value(i);
-      const d = d1.Transformed(t1);
-      normals[3 * (i - 1)] = d.X();
-      normals[3 * (i - 1) + 1] = d.Y();
-      normals[3 * (i - 1) + 2] = d.Z();
-      t1.delete();
-      d1.delete();
-      d.delete();
-    }
-    myNormal.delete();
-    
-    // Write triangle buffer
-    const orient = myFace.Orientation_1();
-    const triangles = myT.get().Triangles();
-    let indices;
-    let triLength = triangles.Length() * 3;
-    
-    if (triLength > 65535)
-      indices = new Uint32Array(triLength);
-    else
-      indices = new Uint16Array(triLength);
-    
-    for (let nt = 1; nt <= myT.get().NbTriangles(); nt++) {
-      const t = triangles.Value(nt);
-      let n1 = t.Value(1);
-      let n2 = t.Value(2);
-      let n3 = t.Value(3);
-      
-      if (orient !== openCascade.TopAbs_Orientation.TopAbs_FORWARD) {
-        let tmp = n1;
-        n1 = n2;
-        n2 = tmp;
-      }
-      
-      indices[3 * (nt - 1)] = n1 - 1;
-      indices[3 * (nt - 1) + 1] = n2 - 1;
-      indices[3 * (nt - 1) + 2] = n3 - 1;
-      t.delete();
-    }
-    triangles.delete();
-    
     // Create geometry with reference to original face index
-    let geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
-    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
-    
-    // Store metadata to link back to original face
-    geometry.userData = {
-      faceIndex: faceIndex
-    };
-    
+    const geometry = createFaceGeometry(faceIndex, buffers);
     geometries.push(geometry);
     
     // Update our map with the geometry reference
     if (faceMap.has(faceIndex)) {
       faceMap.get(faceIndex).geometry = geometry;
     }
-    
-    pc.delete();
-    aLocation.delete();
-    myT.delete();
-    inc.delete();
-    myFace.delete();
-    myShape.delete();
   }
   
   ExpFace.delete();
@@ -0,0 +1,269 @@
+// xcafImport.js - STEP import through XCAF (STEPCAFControl_Reader)
+// Unlike STEPControl_Reader.OneShape() this keeps the product tree: assemblies, part and
+// instance names, instance transforms, colors and layers. Faces are numbered part by part in
+// tree order, and every face map entry records the id of the part instance that owns it
+// along with the face's own color and layer names.
+
+// Converts an OCCT extended string to a JS string. The bindings don't expose UTF-16
+// characters, so it goes through an ASCII copy where non-ASCII characters become '?'
+export function extendedStringToJS(openCascade, extendedString) {
+  const ascii = new openCascade.TCollection_AsciiString_13(extendedString, '?'.charCodeAt(0));
+  let result = '';
+  for (let i = 1; i <= ascii.Length(); i++) {
+    const character = ascii.Value(i);
+    result += typeof character === 'number' ? String.fromCharCode(character) : character;
+  }
+  ascii.delete();
+  return result;
+}
+
+// Returns the TDataStd_Name of a label, or null. Names generated by XCAF for unnamed
+// components ("=>[0:1:1:3]") are treated as missing
+export function labelName(openCascade, label) {
+  const attribute = new openCascade.Handle_TDF_Attribute_1();
+  let name = null;
+
+  if (label.FindAttribute_1(openCascade.TDataStd_Name.GetID(), attribute)) {
+    name = extendedStringToJS(openCascade, attribute.get().Get());
+    if (name.startsWith('=>')) {
+      name = null;
+    }
+  }
+
+  attribute.delete();
+  return name;
+}
+
+// Converts a Quantity_Color (linear RGB) to an sRGB hex number, as shown in the CAD tool
+export function colorToHex(openCascade, color) {
+  const toByte = (linear) => Math.round(Math.min(Math.max(openCascade.Quantity_Color.Convert_LinearRGB_To_sRGB_1(linear), 0), 1) * 255);
+  return (toByte(color.Red()) << 16) | (toByte(color.Green()) << 8) | toByte(color.Blue());
+}
+
+// Returns the surface color set on a label (falling back to its generic color), or null
+export function labelColor(openCascade, colorTool, label) {
+  const color = new openCascade.Quantity_Color_1();
+  let hex = null;
+
+  if (colorTool.GetColor_4(label, openCascade.XCAFDoc_ColorType.XCAFDoc_ColorSurf, color) ||
+      colorTool.GetColor_4(label, openCascade.XCAFDoc_ColorType.XCAFDoc_ColorGen, color)) {
+    hex = colorToHex(openCascade, color);
+  }
+
+  color.delete();
+  return hex;
+}
+
+// Surface color set directly on a face (a sub-shape of a part), or null
+function faceColor(openCascade, colorTool, face) {
+  const color = new openCascade.Quantity_Color_1();
+  const hex = colorTool.GetColor_7(face, openCascade.XCAFDoc_ColorType.XCAFDoc_ColorSurf, color) ? colorToHex(openCascade, color) : null;
+  color.delete();
+  return hex;
+}
+
+// Names of the layers a shape is assigned to
+function shapeLayers(openCascade, layerTool, shape) {
+  const layerLabels = new openCascade.TDF_LabelSequence_1();
+  const layers = [];
+
+  // The layer name is the TDataStd_Name of the layer label
+  if (layerTool.GetLayers_5(shape, layerLabels)) {
+    for (let i = 1; i <= layerLabels.Length(); i++) {
+      const name = labelName(openCascade, layerLabels.Value(i));
+      if (name) {
+        layers.push(name);
+      }
+    }
+  }
+
+  layerLabels.delete();
+  return layers;
+}
+
+// Row-major 3x4 matrix of a location, enough to rebuild the instance transform
+function locationToMatrix(location) {
+  const trsf = location.Transformation();
+  const matrix = [];
+  for (let row = 1; row <= 3; row++) {
+    for (let col = 1; col <= 4; col++) {
+      matrix.push(trsf.Value(row, col));
+    }
+  }
+  trsf.delete();
+  return matrix;
+}
+
+// Reads a STEP file from the virtual filesystem into a new XCAF document, or returns null
+function readXCAFDocument(openCascade, filePath) {
+  const reader = new openCascade.STEPCAFControl_Reader_1();
+  reader.SetColorMode(true);
+  reader.SetNameMode(true);
+  reader.SetLayerMode(true);
+
+  try {
+    if (reader.ReadFile(filePath) !== openCascade.IFSelect_ReturnStatus.IFSelect_RetDone) {
+      return null;
+    }
+
+    const doc = new openCascade.Handle_TDocStd_Document_2(
+      new openCascade.TDocStd_Document(new openCascade.TCollection_ExtendedString_1())
+    );
+    if (!reader.Transfer_1(doc, new openCascade.Message_ProgressRange_1())) {
+      doc.delete();
+      return null;
+    }
+    return doc;
+  } finally {
+    reader.delete();
+  }
+}
+
+/**
+ * Imports a STEP file that is already written to the virtual filesystem, keeping its
+ * assembly structure
+ * @param {Object} openCascade - The OpenCascade.js instance
+ * @param {string} filePath - Path of the file in Emscripten's FS
+ * @param {string} rootName - Name for the root node when the file has several top-level shapes
+ * @returns {Object|null} { shape, faceMap, assembly }, or null if XCAF could not read the file
+ */
+export function importSTEPAssembly(openCascade, filePath, rootName) {
+  const doc = readXCAFDocument(openCascade, filePath);
+  if (!doc) {
+    return null;
+  }
+
+  const main = doc.get().Main();
+  const shapeTool = openCascade.XCAFDoc_DocumentTool.ShapeTool(main).get();
+  const colorTool = openCascade.XCAFDoc_DocumentTool.ColorTool(main).get();
+  const layerTool = openCascade.XCAFDoc_DocumentTool.LayerTool(main).get();
+
+  // All part instances are gathered, already placed, in one compound
+  const builder = new openCascade.BRep_Builder();
+  const compound = new openCascade.TopoDS_Compound();
+  builder.MakeCompound(compound);
+
+  const faceMap = new Map();
+  let faceIndex = 0;
+  let nodeCount = 0;
+
+  // Visits a shape label placed at `location`; instance name/color come from the referencing component
+  function visit(label, location, instanceName, instanceColor) {
+    const partName = labelName(openCascade, label);
+    const node = {
+      id: `node-${nodeCount++}`,
+      name: instanceName || partName || `Part ${nodeCount}`,
+      partName: partName,
+      type: openCascade.XCAFDoc_ShapeTool.IsAssembly(label) ? 'assembly' : 'part',
+      matrix: locationToMatrix(location),
+      color: instanceColor !== null ? instanceColor : labelColor(openCascade, colorTool, label),
+      children: [],
+      faceIndices: []
+    };
+
+    if (node.type === 'assembly') {
+      const components = new openCascade.TDF_LabelSequence_1();
+      openCascade.XCAFDoc_ShapeTool.GetComponents(label, components, false);
+
+      for (let i = 1; i <= components.Length(); i++) {
+        const component = components.Value(i);
+        const referred = new openCascade.TDF_Label();
+        if (!openCascade.XCAFDoc_ShapeTool.GetReferredShape(component, referred)) {
+          continue;
+        }
+
+        const componentLocation = location.Multiplied(openCascade.XCAFDoc_ShapeTool.GetLocation(component));
+        const child = visit(
+          referred,
+          componentLocation,
+          labelName(openCascade, component),
+          labelColor(openCascade, colorTool, component)
+        );
+        node.children.push(child);
+        // An assembly owns the faces of everything below it
+        node.faceIndices.push(...child.faceIndices);
+      }
+      components.delete();
+    } else {
+      // Colors and layers are looked up on the part's own faces, before placing them
+      const partShape = openCascade.XCAFDoc_ShapeTool.GetShape_2(label);
+      builder.Add(compound, partShape.Moved(location, false));
+      const partLayers = shapeLayers(openCascade, layerTool, partShape);
+
+      const ExpFace = new openCascade.TopExp_Explorer_1();
+      for (ExpFace.Init(partShape, openCascade.TopAbs_ShapeEnum.TopAbs_FACE, openCascade.TopAbs_ShapeEnum.TopAbs_SHAPE); ExpFace.More(); ExpFace.Next()) {
+        faceIndex++;
+        const face = ExpFace.Current();
+        const color = faceColor(openCascade, colorTool, face);
+        const layers = shapeLayers(openCascade, layerTool, face);
+
+        faceMap.set(faceIndex, {
+          face: face.Moved(location, false),
+          partId: node.id,
+          // A face color overrides the instance/part color
+          color: color !== null ? color : node.color,
+          layers: layers.length > 0 ? layers : partLayers
+        });
+        node.faceIndices.push(faceIndex);
+        face.delete();
+      }
+      ExpFace.delete();
+    }
+
+    return node;
+  }
+
+  const freeShapes = new openCascade.TDF_LabelSequence_1();
+  shapeTool.GetFreeShapes(freeShapes);
+
+  const roots = [];
+  for (let i = 1; i <= freeShapes.Length(); i++) {
+    roots.push(visit(freeShapes.Value(i), new openCascade.TopLoc_Location_1(), null, null));
+  }
+  freeShapes.delete();
+  doc.delete();
+
+  if (faceMap.size === 0) {
+    return null;
+  }
+
+  // Several top-level shapes are gathered under one root named after the file
+  const assembly = roots.length === 1 ? roots[0] : {
+    id: `node-${nodeCount++}`,
+    name: rootName,
+    partName: null,
+    type: 'assembly',
+    matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0],
+    color: null,
+    children: roots,
+    faceIndices: roots.flatMap(root => root.faceIndices)
+  };
+
+  return {
+    shape: compound,
+    faceMap: faceMap,
+    assembly: assembly
+  };
+}
+
+// Product tree for formats without assembly data: one part holding every face, no colors or layers
+export function singlePartAssembly(name, faceMap) {
+  const node = {
+    id: 'node-0',
+    name: name,
+    partName: name,
+    type: 'part',
+    matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0],
+    color: null,
+    children: [],
+    faceIndices: Array.from(faceMap.keys())
+  };
+
+  faceMap.forEach(entry => {
+    entry.partId = node.id;
+    entry.color = null;
+    entry.layers = [];
+  });
+
+  return node;
+}
@@ -0,0 +1,135 @@
+// assemblyTree.js - Collapsible view of the imported product tree (assemblies, parts, instances)
+
+const formatColor = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+// Builds the list item for one node and, recursively, its children
+function createNodeElement(node, onSelect, depth) {
+  const item = document.createElement('li');
+  item.style.listStyle = 'none';
+
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.alignItems = 'center';
+  row.style.gap = '4px';
+  row.style.cursor = 'pointer';
+  row.style.whiteSpace = 'nowrap';
+  row.dataset.nodeId = node.id;
+
+  const toggle = document.createElement('span');
+  toggle.style.display = 'inline-block';
+  toggle.style.width = '12px';
+  toggle.textContent = node.children.length > 0 ? '▾' : '';
+  row.appendChild(toggle);
+
+  if (node.color !== null) {
+    const swatch = document.createElement('span');
+    swatch.style.display = 'inline-block';
+    swatch.style.width = '10px';
+    swatch.style.height = '10px';
+    swatch.style.border = '1px solid #666';
+    swatch.style.backgroundColor = formatColor(node.color);
+    row.appendChild(swatch);
+  }
+
+  const label = document.createElement('span');
+  label.textContent = node.name;
+  // The part definition is shown too when the instance has its own name
+  if (node.partName && node.partName !== node.name) {
+    label.textContent += ` (${node.partName})`;
+  }
+  label.title = `${node.type === 'assembly' ? 'Assembly' : 'Part'}, ${node.faceIndices.length} faces`;
+  row.appendChild(label);
+
+  item.appendChild(row);
+
+  let childList = null;
+  if (node.children.length > 0) {
+    childList = document.createElement('ul');
+    childList.style.margin = '0';
+    childList.style.paddingLeft = '14px';
+    node.children.forEach(child => childList.appendChild(createNodeElement(child, onSelect, depth + 1)));
+    item.appendChild(childList);
+
+    // Deep levels start collapsed so large assemblies stay readable
+    if (depth >= 2) {
+      childList.style.display = 'none';
+      toggle.textContent = '▸';
+    }
+
+    toggle.addEventListener('click', (event) => {
+      event.stopPropagation();
+      const collapsed = childList.style.display === 'none';
+      childList.style.display = collapsed ? 'block' : 'none';
+      toggle.textContent = collapsed ? '▾' : '▸';
+    });
+  }
+
+  row.addEventListener('click', () => onSelect(node));
+
+  return item;
+}
+
+/**
+ * Adds the assembly tree panel to the given container
+ * @param {HTMLElement} container - Element the panel is appended to
+ * @param {Function} onSelect - Called with the clicked node ({ id, name, type, faceIndices, ... }),
+ *                              or null when the selection is cleared
+ * @returns {Object} { element, setAssembly(assembly), clearSelection() }
+ */
+export function createAssemblyTreePanel(container, onSelect) {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '10px';
+  panel.style.fontSize = '12px';
+  panel.style.display = 'none';
+
+  const header = document.createElement('div');
+  header.textContent = 'Assembly';
+  header.style.fontWeight = 'bold';
+  panel.appendChild(header);
+
+  const tree = document.createElement('ul');
+  tree.style.margin = '3px 0';
+  tree.style.padding = '0';
+  tree.style.maxHeight = '200px';
+  tree.style.overflow = 'auto';
+  panel.appendChild(tree);
+
+  container.appendChild(panel);
+
+  let selectedRow = null;
+
+  const setSelectedRow = (row) => {
+    if (selectedRow) {
+      selectedRow.style.backgroundColor = '';
+    }
+    selectedRow = row;
+    if (selectedRow) {
+      selectedRow.style.backgroundColor = 'rgba(0, 120, 255, 0.2)';
+    }
+  };
+
+  // Clicking the selected node again clears the selection
+  const handleSelect = (node) => {
+    const row = tree.querySelector(`[data-node-id="${node.id}"]`);
+    if (row === selectedRow) {
+      setSelectedRow(null);
+      onSelect(null);
+    } else {
+      setSelectedRow(row);
+      onSelect(node);
+    }
+  };
+
+  return {
+    element: panel,
+    setAssembly: (assembly) => {
+      tree.innerHTML = '';
+      selectedRow = null;
+      panel.style.display = assembly ? 'block' : 'none';
+      if (assembly) {
+        tree.appendChild(createNodeElement(assembly, handleSelect, 0));
+      }
+    },
+    clearSelection: () => setSelectedRow(null)
+  };
+}
@@ -0,0 +1,74 @@
+// brepExportPanel.js - Controls for downloading groups as exact geometry (STEP, IGES or BREP),
+// written by the CAD kernel with brepExport.js
+
+// Format choices: value passed to the kernel and label
+const FORMATS = [
+  ['step', 'STEP'],
+  ['iges', 'IGES'],
+  ['brep', 'BREP']
+];
+
+// Value of the group choice that exports every group
+const ALL_GROUPS = '';
+
+/**
+ * Adds the exact geometry export controls to the given container
+ * @param {HTMLElement} container - Element the controls are appended to
+ * @param {Object} callbacks - { getGroups() returning the names of groups with faces,
+ *                              onExport(format, groupNames) }
+ * @returns {Object} { element }
+ */
+export function createBRepExportPanel(container, callbacks) {
+  const { getGroups, onExport } = callbacks;
+
+  const panel = document.createElement('div');
+  panel.style.display = 'flex';
+  panel.style.alignItems = 'center';
+  panel.style.gap = '5px';
+  panel.style.marginBottom = '5px';
+  panel.style.fontSize = '12px';
+
+  const groupSelect = document.createElement('select');
+  groupSelect.title = 'Groups to export, each becomes a named entity';
+  // Filled when opened, so it always lists the current groups
+  const refreshGroups = () => {
+    const current = groupSelect.value;
+    groupSelect.innerHTML = '';
+    [[ALL_GROUPS, 'All groups'], ...getGroups().map(name => [name, name])].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      groupSelect.appendChild(option);
+    });
+    if (Array.from(groupSelect.options).some(option => option.value === current)) {
+      groupSelect.value = current;
+    }
+  };
+  groupSelect.addEventListener('focus', refreshGroups);
+  groupSelect.addEventListener('mousedown', refreshGroups);
+  refreshGroups();
+  panel.appendChild(groupSelect);
+
+  const formatSelect = document.createElement('select');
+  FORMATS.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    formatSelect.appendChild(option);
+  });
+  panel.appendChild(formatSelect);
+
+  const exportButton = document.createElement('button');
+  exportButton.textContent = 'Export CAD';
+  exportButton.title = 'Download the faces as exact geometry: STEP and IGES name an entity after each group, BREP writes a file per group';
+  exportButton.onclick = () => {
+    refreshGroups();
+    const groupNames = groupSelect.value === ALL_GROUPS ? getGroups() : [groupSelect.value];
+    onExport(formatSelect.value, groupNames);
+  };
+  panel.appendChild(exportButton);
+
+  container.appendChild(panel);
+
+  return { element: panel };
+}
@@ -0,0 +1,171 @@
+// edgeOverlay.js - Line overlay of the model's B-Rep edges, so face boundaries can be seen.
+// Edges below the crease angle (tangent or seam edges) can be left out, and every edge keeps
+// its own index so it can be picked
+import {
+  Group,
+  LineSegments,
+  LineBasicMaterial,
+  BufferGeometry,
+  BufferAttribute
+} from 'three';
+import { visibleHalfHeight } from './library.js';
+
+const EDGE_COLOR = 0x202020;
+const HIGHLIGHT_COLOR = 0xffd000;
+// Pick tolerance around an edge, in screen pixels
+const PICK_PIXELS = 5;
+
+/**
+ * Adds the edge overlay controls to the given container
+ * @param {HTMLElement} container - Element the panel is appended to
+ * @param {Scene} scene - Scene the "edges" group is added to
+ * @returns {Object} { element, setEdges(edges, shapeGroup), updateVisibility(hiddenFaces),
+ *                     pick(raycaster, viewportHeight, isClipped, maxDistance), highlight(edgeIndex) }
+ */
+export function createEdgeOverlayPanel(container, scene) {
+  const panel = document.createElement('div');
+  panel.style.display = 'flex';
+  panel.style.alignItems = 'center';
+  panel.style.gap = '5px';
+  panel.style.marginBottom = '5px';
+  panel.style.fontSize = '12px';
+
+  const toggle = document.createElement('input');
+  toggle.type = 'checkbox';
+  toggle.checked = true;
+  toggle.title = 'Show the B-Rep edges';
+  panel.appendChild(toggle);
+  panel.appendChild(document.createTextNode('Edges'));
+
+  const creaseInput = document.createElement('input');
+  creaseInput.type = 'number';
+  creaseInput.min = '0';
+  creaseInput.max = '180';
+  creaseInput.step = '1';
+  creaseInput.value = '0';
+  creaseInput.style.width = '50px';
+  creaseInput.title = 'Hide edges where the faces meet at less than this angle (0 shows every edge)';
+  panel.appendChild(document.createTextNode('Crease angle (°)'));
+  panel.appendChild(creaseInput);
+
+  const info = document.createElement('span');
+  info.style.color = '#555';
+  panel.appendChild(info);
+
+  container.appendChild(panel);
+
+  const material = new LineBasicMaterial({ color: EDGE_COLOR });
+  const highlightMaterial = new LineBasicMaterial({ color: HIGHLIGHT_COLOR });
+
+  const overlay = new Group();
+  overlay.name = 'edges';
+  overlay.matrixAutoUpdate = false;
+
+  let creaseAngle = 0;
+  let highlighted = null;
+
+  // Smooth edges are left out below the crease angle; free edges (one face) always show
+  const showsAtCrease = (line) => line.userData.angle === null || line.userData.angle >= creaseAngle;
+
+  const updateLines = () => {
+    overlay.children.forEach(line => {
+      line.visible = showsAtCrease(line) && line.userData.faceVisible;
+    });
+  };
+
+  toggle.onchange = () => {
+    overlay.visible = toggle.checked;
+  };
+  creaseInput.onchange = () => {
+    creaseAngle = Math.min(180, Math.max(0, parseFloat(creaseInput.value) || 0));
+    creaseInput.value = String(creaseAngle);
+    updateLines();
+  };
+
+  const highlight = (edgeIndex) => {
+    if (highlighted) {
+      highlighted.material = material;
+    }
+    highlighted = overlay.children.find(line => line.userData.edgeIndex === edgeIndex) || null;
+    if (highlighted) {
+      // Section planes are set on the overlay's base material
+      highlightMaterial.clippingPlanes = material.clippingPlanes;
+      highlighted.material = highlightMaterial;
+    }
+  };
+
+  return {
+    element: panel,
+
+    // Replaces the overlay with the edges of a newly imported or re-meshed model. The lines
+    // are in CAD coordinates and follow the transform of the "shape" group
+    setEdges: (edges, shapeGroup) => {
+      highlight(null);
+      overlay.children.slice().forEach(line => {
+        overlay.remove(line);
+        line.geometry.dispose();
+      });
+
+      edges.forEach(edge => {
+        const geometry = new BufferGeometry();
+        geometry.setAttribute('position', new BufferAttribute(edge.position, 3));
+        const line = new LineSegments(geometry, material);
+        line.userData = {
+          edgeIndex: edge.edgeIndex,
+          faceIndices: edge.faceIndices,
+          angle: edge.angle,
+          faceVisible: true
+        };
+        overlay.add(line);
+      });
+      updateLines();
+
+      scene.remove(overlay);
+      if (shapeGroup) {
+        shapeGroup.updateMatrixWorld();
+        overlay.matrix.copy(shapeGroup.matrixWorld);
+        scene.add(overlay);
+      }
+      info.textContent = `${edges.length} edges`;
+    },
+
+    // Hides the edges whose faces are all hidden
+    updateVisibility: (hiddenFaces) => {
+      overlay.children.forEach(line => {
+        const faces = line.userData.faceIndices;
+        line.userData.faceVisible = faces.length === 0 || faces.some(faceIndex => !hiddenFaces.has(faceIndex));
+      });
+      updateLines();
+    },
+
+    /**
+     * Finds the displayed edge under the ray
+     * @param {Raycaster} raycaster - Set from the click position and the active camera
+     * @param {number} viewportHeight - Viewport height in pixels, to size the pick tolerance
+     * @param {Function} isClipped - Tells whether a world point is cut away by a section plane
+     * @param {number} maxDistance - Distance of the nearest face hit, edges behind it are hidden
+     * @returns {Object|null} { edgeIndex, faceIndices, angle }
+     */
+    pick: (raycaster, viewportHeight, isClipped = () => false, maxDistance = Infinity) => {
+      if (!overlay.visible || !overlay.parent) return null;
+
+      // A few pixels at the orbit target, so edges are as easy to hit at any zoom
+      const { camera, controls } = scene.userData;
+      const halfHeight = visibleHalfHeight(camera, camera.position.distanceTo(controls.target));
+      const threshold = PICK_PIXELS * 2 * halfHeight / viewportHeight;
+      raycaster.params.Line = { threshold: threshold };
+
+      const hit = raycaster.intersectObjects(overlay.children)
+        .find(candidate => candidate.object.visible &&
+          candidate.distance <= maxDistance + threshold &&
+          !isClipped(candidate.point));
+      if (!hit) return null;
+
+      const { edgeIndex, faceIndices, angle } = hit.object.userData;
+      return { edgeIndex, faceIndices, angle };
+    },
+
+    // Draws one edge in the highlight color, or none for null
+    highlight: highlight
+  };
+}
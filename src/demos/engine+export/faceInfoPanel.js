@@ -0,0 +1,92 @@
+// faceInfoPanel.js - Shows the geometric properties of the clicked face
+
+const formatNumber = (value) => Number(value.toPrecision(6)).toString();
+const formatVector = (vector) => `(${vector.map(value => value.toFixed(3)).join(', ')})`;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Label/value rows for a face, in display order
+function describeFace(faceIndex, faceData) {
+  const rows = [['Face', `#${faceIndex}`]];
+  const properties = faceData && faceData.properties;
+
+  if (faceData && faceData.layers && faceData.layers.length > 0) {
+    rows.push(['Layers', faceData.layers.join(', ')]);
+  }
+
+  if (!properties) {
+    rows.push(['Geometry', 'not available']);
+    return rows;
+  }
+
+  rows.push(['Surface', properties.surfaceType]);
+  rows.push(['Area', formatNumber(properties.area)]);
+  rows.push(['Centroid', formatVector(properties.centroid)]);
+  rows.push(['Normal', properties.normal.every(value => value === 0) ? 'varies (closed face)' : formatVector(properties.normal)]);
+
+  if (properties.radius !== undefined) {
+    rows.push([properties.minorRadius !== undefined ? 'Major radius' : 'Radius', formatNumber(properties.radius)]);
+  }
+  if (properties.minorRadius !== undefined) {
+    rows.push(['Minor radius', formatNumber(properties.minorRadius)]);
+  }
+  if (properties.semiAngle !== undefined) {
+    rows.push(['Half angle', `${toDegrees(properties.semiAngle).toFixed(2)}°`]);
+  }
+  if (properties.center) {
+    rows.push(['Center', formatVector(properties.center)]);
+  }
+  if (properties.axis) {
+    rows.push(['Axis origin', formatVector(properties.axis.origin)]);
+    rows.push(['Axis direction', formatVector(properties.axis.direction)]);
+  }
+
+  return rows;
+}
+
+/**
+ * Adds the face info panel to the given container
+ * @param {HTMLElement} container - Element the panel is appended to
+ * @returns {Object} { element, show(faceIndex, faceData), clear() }
+ */
+export function createFaceInfoPanel(container) {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '10px';
+  panel.style.fontSize = '12px';
+  panel.style.display = 'none';
+
+  const header = document.createElement('div');
+  header.textContent = 'Face info';
+  header.style.fontWeight = 'bold';
+  panel.appendChild(header);
+
+  const table = document.createElement('table');
+  table.style.borderCollapse = 'collapse';
+  panel.appendChild(table);
+
+  container.appendChild(panel);
+
+  return {
+    element: panel,
+    // faceData is the face map entry: { properties, layers, ... }
+    show: (faceIndex, faceData) => {
+      table.innerHTML = '';
+      describeFace(faceIndex, faceData).forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        const labelCell = document.createElement('td');
+        labelCell.textContent = label;
+        labelCell.style.paddingRight = '8px';
+        labelCell.style.color = '#555';
+        const valueCell = document.createElement('td');
+        valueCell.textContent = value;
+        row.appendChild(labelCell);
+        row.appendChild(valueCell);
+        table.appendChild(row);
+      });
+      panel.style.display = 'block';
+    },
+    clear: () => {
+      table.innerHTML = '';
+      panel.style.display = 'none';
+    }
+  };
+}
@@ -1,4 +1,5 @@
 // fixes.js - Additional fixes for selection state and confirmation issues
+import { rebindFaceGroups } from '../../common/faceSignature.js';
 
 /**
  * Checks and fixes issues with the selection state structure
@@ -13,6 +14,9 @@ export function fixSelectionState(selectionState) {
         mode: null,
         selectedFaces: new Set(),
         physicalGroups: new Map(),
+        groupSettings: new Map(),
+        hiddenFaces: new Set(),
+        transparentFaces: new Set(),
         inSelectionMode: false
       };
     }
@@ -48,6 +52,22 @@ export function fixSelectionState(selectionState) {
       );
     }
     
+    // Ensure groupSettings (name -> { color, shortcut }) is a Map
+    if (!(selectionState.groupSettings instanceof Map)) {
+      selectionState.groupSettings = new Map(
+        selectionState.groupSettings && typeof selectionState.groupSettings === 'object'
+          ? Object.entries(selectionState.groupSettings)
+          : []
+      );
+    }
+    
+    // Ensure the face visibility sets exist
+    ['hiddenFaces', 'transparentFaces'].forEach(key => {
+      if (!(selectionState[key] instanceof Set)) {
+        selectionState[key] = new Set(Array.isArray(selectionState[key]) ? selectionState[key] : []);
+      }
+    });
+    
     // Ensure the confirmSelection function exists
     if (typeof selectionState.confirmSelection !== 'function') {
       console.warn("confirmSelection function not found, adding it");
@@ -142,27 +162,66 @@ export function fixSelectionState(selectionState) {
     console.log(`Mesh validation: ${withIndex} meshes with face indices, ${withoutIndex} meshes needed new indices`);
   }
   
+  /**
+   * Copies the groups, their settings and face visibility into a plain object that can be
+   * stored as JSON, as kept in localStorage and in project files
+   * @param {Object} selectionState - The selection state to back up
+   * @param {Map} faceMap - Optional face map of the loaded model; its face signatures are
+   *                        saved with the groups so they can be bound again after a re-import
+   * @returns {Object} The backup
+   */
+  export function createSelectionBackup(selectionState, faceMap = null) {
+    const backup = {};
+    
+    // Convert Map to object for storage
+    backup.physicalGroups = {};
+    selectionState.physicalGroups.forEach((faces, name) => {
+      backup.physicalGroups[name] = Array.from(faces);
+    });
+    
+    // Group colors and shortcuts
+    if (selectionState.groupSettings) {
+      backup.groupSettings = Object.fromEntries(selectionState.groupSettings);
+    }
+    
+    // Hidden and see-through faces
+    backup.visibility = {
+      hidden: Array.from(selectionState.hiddenFaces || []),
+      transparent: Array.from(selectionState.transparentFaces || [])
+    };
+    
+    // Face indices shift when the model is re-exported, signatures don't
+    if (faceMap) {
+      const signaturesOf = (faces) => Array.from(faces)
+        .map(faceIndex => faceMap.get(faceIndex) && faceMap.get(faceIndex).signature)
+        .filter(signature => signature);
+      backup.faceSignatures = {};
+      selectionState.physicalGroups.forEach((faces, name) => {
+        backup.faceSignatures[name] = signaturesOf(faces);
+      });
+      backup.visibilitySignatures = {
+        hidden: signaturesOf(backup.visibility.hidden),
+        transparent: signaturesOf(backup.visibility.transparent)
+      };
+    }
+    
+    // Store current mode
+    backup.mode = selectionState.mode;
+    
+    return backup;
+  }
+  
   /**
    * Creates a backup of selection data in localStorage
    * @param {Object} selectionState - The selection state to back up
+   * @param {Map} faceMap - Optional face map of the loaded model, see createSelectionBackup
    */
-  export function backupSelectionState(selectionState) {
+  export function backupSelectionState(selectionState, faceMap = null) {
     try {
       if (!selectionState || !selectionState.physicalGroups) return;
       
-      const backup = {};
-      
-      // Convert Map to object for storage
-      backup.physicalGroups = {};
-      selectionState.physicalGroups.forEach((faces, name) => {
-        backup.physicalGroups[name] = Array.from(faces);
-      });
-      
-      // Store current mode
-      backup.mode = selectionState.mode;
-      
       // Save to localStorage
-      localStorage.setItem('selectionStateBackup', JSON.stringify(backup));
+      localStorage.setItem('selectionStateBackup', JSON.stringify(createSelectionBackup(selectionState, faceMap)));
       console.log("Selection state backed up to localStorage");
     } catch (error) {
       console.error("Failed to backup selection state:", error);
@@ -191,6 +250,20 @@ export function fixSelectionState(selectionState) {
         });
       }
       
+      // Restore group colors and shortcuts, in place like the groups
+      if (backup.groupSettings) {
+        selectionState.groupSettings.clear();
+        Object.entries(backup.groupSettings).forEach(([name, settings]) => selectionState.groupSettings.set(name, settings));
+      }
+      
+      // Restore hidden and see-through faces
+      if (backup.visibility) {
+        [['hiddenFaces', 'hidden'], ['transparentFaces', 'transparent']].forEach(([key, name]) => {
+          selectionState[key].clear();
+          (backup.visibility[name] || []).forEach(faceIndex => selectionState[key].add(faceIndex));
+        });
+      }
+      
       // Restore mode
       if (backup.mode) {
         selectionState.mode = backup.mode;
@@ -202,4 +275,73 @@ export function fixSelectionState(selectionState) {
       console.error("Failed to restore selection state:", error);
       return false;
     }
-  }
\ No newline at end of file
+  }
+  
+  /**
+   * Binds the backed up groups to the faces of a newly imported model by face signature
+   * @param {Object} selectionState - The selection state to update
+   * @param {Map} faceMap - Face map of the new model, with a signature per face
+   * @returns {Object|null} { groups, unmatched } as returned by rebindFaceGroups, or null
+   *                        if there is no backup with signatures
+   */
+  export function rebindSelectionState(selectionState, faceMap) {
+    try {
+      const backupJson = localStorage.getItem('selectionStateBackup');
+      if (!backupJson) return null;
+      
+      return applySelectionBackup(selectionState, JSON.parse(backupJson), faceMap);
+    } catch (error) {
+      console.error("Failed to rebind selection state:", error);
+      return null;
+    }
+  }
+  
+  /**
+   * Binds the groups of a backup (see createSelectionBackup) to the faces of a model by face
+   * signature
+   * @param {Object} selectionState - The selection state to update
+   * @param {Object} backup - Backup read from localStorage or a project file
+   * @param {Map} faceMap - Face map of the model, with a signature per face
+   * @returns {Object|null} { groups, unmatched } as returned by rebindFaceGroups, or null
+   *                        if the backup has no signatures
+   */
+  export function applySelectionBackup(selectionState, backup, faceMap) {
+    if (!backup.faceSignatures) return null;
+    
+    const faceSignatures = new Map();
+    faceMap.forEach((entry, faceIndex) => {
+      if (entry.signature) {
+        faceSignatures.set(faceIndex, entry.signature);
+      }
+    });
+    
+    const result = rebindFaceGroups(backup.faceSignatures, faceSignatures);
+    
+    // Groups whose faces all disappeared are dropped rather than kept with stale indices
+    selectionState.physicalGroups.clear();
+    result.groups.forEach((faces, name) => {
+      if (faces.length > 0) {
+        selectionState.physicalGroups.set(name, faces);
+      }
+    });
+    
+    // Group colors and shortcuts don't depend on the model. Like the groups, they are
+    // refilled in place since the viewer keeps references to them (see history.js)
+    if (backup.groupSettings) {
+      selectionState.groupSettings.clear();
+      Object.entries(backup.groupSettings).forEach(([name, settings]) => selectionState.groupSettings.set(name, settings));
+    }
+    
+    // Visibility is bound the same way; faces that are not found are simply shown
+    const visibility = rebindFaceGroups(backup.visibilitySignatures || {}, faceSignatures).groups;
+    [['hiddenFaces', 'hidden'], ['transparentFaces', 'transparent']].forEach(([key, name]) => {
+      selectionState[key].clear();
+      (visibility.get(name) || []).forEach(faceIndex => selectionState[key].add(faceIndex));
+    });
+    
+    if (result.unmatched.length > 0) {
+      console.warn(`${result.unmatched.length} saved faces could not be matched to the new model:`, result.unmatched);
+    }
+    console.log("Selection state bound to the new model:", selectionState.physicalGroups);
+    return result;
+  }
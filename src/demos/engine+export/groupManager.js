@@ -0,0 +1,305 @@
+// groupManager.js - Named physical groups with a color and an optional keyboard shortcut
+// The faces of a group live in selectionState.physicalGroups (only once selected), the
+// name, color, shortcut and exclusive flag in selectionState.groupSettings, so groups can
+// exist before they have faces and exports never see empty groups. Exclusive (boundary)
+// groups may not share faces, see groupValidation.js.
+
+// The groups the viewer used to have hardwired, with their old keys
+export const DEFAULT_GROUPS = [
+  { name: 'inlet', color: '#1f77b4', shortcut: 'i' },
+  { name: 'outlet', color: '#d62728', shortcut: 'o' },
+  { name: 'wall', color: '#7f7f7f', shortcut: 'w' }
+];
+
+// Colors handed out to new groups, skipping the green used for the active selection
+const PALETTE = ['#ff7f0e', '#9467bd', '#8c564b', '#e377c2', '#17becf', '#bcbd22', '#1f77b4', '#d62728'];
+
+// Keys the viewer uses for itself
+const RESERVED_KEYS = ['f', 'h'];
+
+// Group names become STL solid names and file names, so keep them to one plain word
+const GROUP_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Names of all groups, defined or holding faces, in creation order
+ * @param {Object} selectionState - Holds physicalGroups and groupSettings
+ * @returns {string[]}
+ */
+export function listGroups(selectionState) {
+  const names = Array.from(selectionState.groupSettings.keys());
+  selectionState.physicalGroups.forEach((faces, name) => {
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  });
+  return names;
+}
+
+/**
+ * Settings of a group, giving a group that came without any (e.g. re-bound from a
+ * backup) the next palette color
+ * @param {Object} selectionState - Holds groupSettings
+ * @param {string} name - Group name
+ * @returns {Object} { color, shortcut, exclusive }
+ */
+export function getGroupSettings(selectionState, name) {
+  if (!selectionState.groupSettings.has(name)) {
+    const color = PALETTE[selectionState.groupSettings.size % PALETTE.length];
+    selectionState.groupSettings.set(name, { color: color, shortcut: null, exclusive: true });
+  }
+  return selectionState.groupSettings.get(name);
+}
+
+// Throws if the name can't be used for a new or renamed group
+function checkGroupName(selectionState, name) {
+  if (!GROUP_NAME_PATTERN.test(name)) {
+    throw new Error(`'${name}' is not a valid group name: use letters, digits, '_', '-' or '.'`);
+  }
+  if (listGroups(selectionState).includes(name)) {
+    throw new Error(`A group named '${name}' already exists`);
+  }
+}
+
+/**
+ * Defines a new, empty group
+ * @param {Object} selectionState - Holds physicalGroups and groupSettings
+ * @param {string} name - Group name, e.g. 'symmetry' or 'heat_source_1'
+ * @param {Object} options - { color: '#rrggbb', shortcut: single key, exclusive }, all optional
+ */
+export function createGroup(selectionState, name, options = {}) {
+  checkGroupName(selectionState, name);
+  const settings = getGroupSettings(selectionState, name);
+  if (options.color) {
+    settings.color = options.color;
+  }
+  if (options.exclusive === false) {
+    settings.exclusive = false;
+  }
+  if (options.shortcut) {
+    setGroupShortcut(selectionState, name, options.shortcut);
+  }
+}
+
+/**
+ * Renames a group, keeping its faces, settings and place in the list
+ * @param {Object} selectionState - Holds physicalGroups, groupSettings and the active mode
+ * @param {string} oldName - Current name
+ * @param {string} newName - New name
+ */
+export function renameGroup(selectionState, oldName, newName) {
+  if (oldName === newName) return;
+  checkGroupName(selectionState, newName);
+
+  const renameKey = (map) => new Map(Array.from(map.entries()).map(([key, value]) => [key === oldName ? newName : key, value]));
+  getGroupSettings(selectionState, oldName);
+  selectionState.groupSettings = renameKey(selectionState.groupSettings);
+  selectionState.physicalGroups = renameKey(selectionState.physicalGroups);
+
+  if (selectionState.mode === oldName) {
+    selectionState.mode = newName;
+  }
+}
+
+/**
+ * Removes a group and its faces
+ * @param {Object} selectionState - Holds physicalGroups and groupSettings
+ * @param {string} name - Group name
+ */
+export function deleteGroup(selectionState, name) {
+  selectionState.groupSettings.delete(name);
+  selectionState.physicalGroups.delete(name);
+}
+
+/**
+ * Sets or clears a group's keyboard shortcut
+ * @param {Object} selectionState - Holds groupSettings
+ * @param {string} name - Group name
+ * @param {string|null} key - A single character, or null/'' to clear it
+ */
+export function setGroupShortcut(selectionState, name, key) {
+  const shortcut = key ? key.toLowerCase() : null;
+  if (shortcut) {
+    if (shortcut.length !== 1) {
+      throw new Error('A shortcut is a single key');
+    }
+    if (RESERVED_KEYS.includes(shortcut)) {
+      throw new Error(`'${shortcut.toUpperCase()}' is used by the viewer`);
+    }
+    const owner = groupForShortcut(selectionState, shortcut);
+    if (owner && owner !== name) {
+      throw new Error(`'${shortcut.toUpperCase()}' already selects '${owner}'`);
+    }
+  }
+  getGroupSettings(selectionState, name).shortcut = shortcut;
+}
+
+/**
+ * The group a key starts the selection of
+ * @param {Object} selectionState - Holds groupSettings
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string|null} Group name
+ */
+export function groupForShortcut(selectionState, key) {
+  const shortcut = key.toLowerCase();
+  for (const [name, settings] of selectionState.groupSettings) {
+    if (settings.shortcut === shortcut) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Color of every grouped face, for tinting the model. A face in several groups takes
+ * the color of the group listed last
+ * @param {Object} selectionState - Holds physicalGroups and groupSettings
+ * @returns {Map} Face index -> '#rrggbb'
+ */
+export function groupColorsByFace(selectionState) {
+  const colors = new Map();
+  listGroups(selectionState).forEach(name => {
+    const faces = selectionState.physicalGroups.get(name) || [];
+    const { color } = getGroupSettings(selectionState, name);
+    faces.forEach(faceIndex => colors.set(faceIndex, color));
+  });
+  return colors;
+}
+
+/**
+ * Adds the group manager to the given container
+ * @param {HTMLElement} container - Element the panel is appended to
+ * @param {Object} selectionState - Holds physicalGroups and groupSettings
+ * @param {Object} callbacks - { onSelect(name) to start selecting a group's faces,
+ *                              onChange() after any edit, onError(message), and optionally
+ *                              record(label, change) to run the edits as undoable commands }
+ * @returns {Object} { element, refresh() }
+ */
+export function createGroupManagerPanel(container, selectionState, callbacks) {
+  const { onSelect, onChange, onError, record = (label, change) => change() } = callbacks;
+
+  const panel = document.createElement('div');
+  panel.style.marginTop = '10px';
+  panel.style.fontSize = '12px';
+
+  const header = document.createElement('div');
+  header.textContent = 'Physical groups';
+  header.style.fontWeight = 'bold';
+  panel.appendChild(header);
+
+  const list = document.createElement('div');
+  panel.appendChild(list);
+
+  // Runs an edit, reporting a refused one instead of applying it
+  const edit = (label, change) => {
+    try {
+      record(label, change);
+      onChange();
+    } catch (error) {
+      onError(error.message);
+    }
+    refresh();
+  };
+
+  const createRow = (name) => {
+    const settings = getGroupSettings(selectionState, name);
+    const faces = selectionState.physicalGroups.get(name) || [];
+
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '4px';
+    row.style.marginTop = '2px';
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = settings.color;
+    color.title = 'Group color';
+    color.onchange = () => edit(`Recolor group '${name}'`, () => {
+      settings.color = color.value;
+    });
+    row.appendChild(color);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = name;
+    nameInput.title = 'Rename the group';
+    nameInput.style.width = '100px';
+    nameInput.onchange = () => edit(`Rename group '${name}'`, () => renameGroup(selectionState, name, nameInput.value.trim()));
+    row.appendChild(nameInput);
+
+    const count = document.createElement('span');
+    count.textContent = `${faces.length} faces`;
+    count.style.width = '55px';
+    count.style.color = '#555';
+    row.appendChild(count);
+
+    const shortcut = document.createElement('input');
+    shortcut.type = 'text';
+    shortcut.maxLength = 1;
+    shortcut.value = settings.shortcut ? settings.shortcut.toUpperCase() : '';
+    shortcut.placeholder = 'key';
+    shortcut.title = 'Key that starts selecting this group';
+    shortcut.style.width = '30px';
+    shortcut.onchange = () => edit(`Change the shortcut of group '${name}'`, () => setGroupShortcut(selectionState, name, shortcut.value.trim()));
+    row.appendChild(shortcut);
+
+    // Settings saved before groups had the flag count as exclusive
+    const exclusive = document.createElement('input');
+    exclusive.type = 'checkbox';
+    exclusive.checked = settings.exclusive !== false;
+    exclusive.title = 'Boundary group: its faces may not be in another exclusive group';
+    exclusive.onchange = () => edit(`Change group '${name}' to ${exclusive.checked ? 'exclusive' : 'non-exclusive'}`, () => {
+      settings.exclusive = exclusive.checked;
+    });
+    row.appendChild(exclusive);
+    row.appendChild(document.createTextNode('Exclusive'));
+
+    const selectButton = document.createElement('button');
+    selectButton.textContent = 'Select';
+    selectButton.title = 'Select the faces of this group, Enter confirms';
+    selectButton.onclick = () => onSelect(name);
+    row.appendChild(selectButton);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.onclick = () => {
+      if (faces.length > 0 && !confirm(`Delete group '${name}' and its ${faces.length} faces?`)) return;
+      edit(`Delete group '${name}'`, () => deleteGroup(selectionState, name));
+    };
+    row.appendChild(deleteButton);
+
+    return row;
+  };
+
+  // New group: name, then add
+  const addRow = document.createElement('div');
+  addRow.style.display = 'flex';
+  addRow.style.gap = '4px';
+  addRow.style.marginTop = '4px';
+
+  const newName = document.createElement('input');
+  newName.type = 'text';
+  newName.placeholder = 'new group name';
+  newName.style.width = '140px';
+  addRow.appendChild(newName);
+
+  const addButton = document.createElement('button');
+  addButton.textContent = 'Add group';
+  addButton.onclick = () => edit(`Add group '${newName.value.trim()}'`, () => {
+    createGroup(selectionState, newName.value.trim());
+    newName.value = '';
+  });
+  addRow.appendChild(addButton);
+  panel.appendChild(addRow);
+
+  container.appendChild(panel);
+
+  // Rebuilds the list, e.g. after a selection was confirmed or groups were re-bound
+  const refresh = () => {
+    list.innerHTML = '';
+    listGroups(selectionState).forEach(name => list.appendChild(createRow(name)));
+  };
+  refresh();
+
+  return { element: panel, refresh: refresh };
+}
@@ -0,0 +1,221 @@
+// groupValidation.js - Checks group membership before export: the mesher rejects a face that
+// is in two boundary groups, and a boundary definition that leaves faces out
+import { listGroups, getGroupSettings } from './groupManager.js';
+
+// How many face indices to spell out in the report
+const LISTED_FACES = 12;
+
+// Boundary groups are exclusive unless the user said otherwise
+const isExclusive = (selectionState, name) => getGroupSettings(selectionState, name).exclusive !== false;
+
+/**
+ * Finds faces in more than one exclusive group and faces in no group at all
+ * @param {Object} selectionState - Holds physicalGroups and groupSettings
+ * @param {number[]} faceIndices - Every face of the model
+ * @returns {Object} { overlaps: [{ faceIndex, groups }], unassigned: number[] }
+ */
+export function validateGroups(selectionState, faceIndices) {
+  const exclusiveGroups = new Map();
+  const assigned = new Set();
+
+  listGroups(selectionState).forEach(name => {
+    const faces = selectionState.physicalGroups.get(name) || [];
+    faces.forEach(faceIndex => {
+      assigned.add(faceIndex);
+      if (!isExclusive(selectionState, name)) return;
+      if (!exclusiveGroups.has(faceIndex)) {
+        exclusiveGroups.set(faceIndex, []);
+      }
+      exclusiveGroups.get(faceIndex).push(name);
+    });
+  });
+
+  const overlaps = [];
+  exclusiveGroups.forEach((groups, faceIndex) => {
+    if (groups.length > 1) {
+      overlaps.push({ faceIndex: faceIndex, groups: groups });
+    }
+  });
+  overlaps.sort((a, b) => a.faceIndex - b.faceIndex);
+
+  return {
+    overlaps: overlaps,
+    unassigned: faceIndices.filter(faceIndex => !assigned.has(faceIndex))
+  };
+}
+
+/**
+ * Adds every face that is in no group to the given group
+ * @param {Object} selectionState - Holds physicalGroups
+ * @param {number[]} faceIndices - Every face of the model
+ * @param {string} groupName - Group receiving the faces
+ * @returns {number} Number of faces added
+ */
+export function assignRemainingFaces(selectionState, faceIndices, groupName) {
+  const { unassigned } = validateGroups(selectionState, faceIndices);
+  if (unassigned.length > 0) {
+    const faces = selectionState.physicalGroups.get(groupName) || [];
+    selectionState.physicalGroups.set(groupName, faces.concat(unassigned));
+  }
+  return unassigned.length;
+}
+
+/**
+ * Removes the given faces from every exclusive group but one
+ * @param {Object} selectionState - Holds physicalGroups and groupSettings
+ * @param {number[]} faceIndices - Faces to resolve, usually overlaps found by validateGroups
+ * @param {string} keepGroup - Group the faces stay in, they are added to it if missing
+ */
+export function resolveOverlaps(selectionState, faceIndices, keepGroup) {
+  const faces = new Set(faceIndices);
+  listGroups(selectionState).forEach(name => {
+    if (name === keepGroup || !isExclusive(selectionState, name) || !selectionState.physicalGroups.has(name)) return;
+    const remaining = selectionState.physicalGroups.get(name).filter(faceIndex => !faces.has(faceIndex));
+    if (remaining.length > 0) {
+      selectionState.physicalGroups.set(name, remaining);
+    } else {
+      // Exports skip groups without faces, see groupManager.js
+      selectionState.physicalGroups.delete(name);
+    }
+  });
+
+  const kept = selectionState.physicalGroups.get(keepGroup) || [];
+  selectionState.physicalGroups.set(keepGroup, kept.concat(faceIndices.filter(faceIndex => !kept.includes(faceIndex))));
+}
+
+// "#3, #7, #9 and 12 more"
+function listFaces(faceIndices) {
+  const listed = faceIndices.slice(0, LISTED_FACES).map(faceIndex => `#${faceIndex}`).join(', ');
+  return faceIndices.length > LISTED_FACES ? `${listed} and ${faceIndices.length - LISTED_FACES} more` : listed;
+}
+
+/**
+ * Adds the group check report to the given container
+ * @param {HTMLElement} container - Element the panel is appended to
+ * @param {Object} selectionState - Holds physicalGroups and groupSettings
+ * @param {Object} callbacks - { getFaceIndices() returning every face of the loaded model,
+ *                              onShow(faceIndices) to point the faces out, onChange() after a fix,
+ *                              and optionally record(label, change) to make the fixes undoable
+ *                              and getUnmeshedFaces() returning the faces without a display mesh }
+ * @returns {Object} { element, refresh() }
+ */
+export function createGroupValidationPanel(container, selectionState, callbacks) {
+  const { getFaceIndices, onShow, onChange, record = (label, change) => change(), getUnmeshedFaces = () => [] } = callbacks;
+
+  const panel = document.createElement('div');
+  panel.style.marginTop = '10px';
+  panel.style.fontSize = '12px';
+  panel.style.display = 'none';
+
+  const header = document.createElement('div');
+  header.textContent = 'Group check';
+  header.style.fontWeight = 'bold';
+  panel.appendChild(header);
+
+  const summary = document.createElement('div');
+  panel.appendChild(summary);
+
+  // Faces that are checked and exported but can't be seen or shown
+  const unmeshedNote = document.createElement('div');
+  unmeshedNote.style.color = '#b06000';
+  panel.appendChild(unmeshedNote);
+
+  // A report line with a "Show" button, a group choice and a fix button
+  const createSection = (fixLabel, fixTitle) => {
+    const section = document.createElement('div');
+    section.style.marginTop = '4px';
+
+    const text = document.createElement('div');
+    section.appendChild(text);
+
+    const controls = document.createElement('div');
+    controls.style.display = 'flex';
+    controls.style.gap = '4px';
+
+    const showButton = document.createElement('button');
+    showButton.textContent = 'Show';
+    controls.appendChild(showButton);
+
+    const groupSelect = document.createElement('select');
+    controls.appendChild(groupSelect);
+
+    const fixButton = document.createElement('button');
+    fixButton.textContent = fixLabel;
+    fixButton.title = fixTitle;
+    controls.appendChild(fixButton);
+
+    section.appendChild(controls);
+    panel.appendChild(section);
+    return { section, text, showButton, groupSelect, fixButton };
+  };
+
+  const overlapSection = createSection('Keep only in', 'Remove these faces from the other exclusive groups');
+  const unassignedSection = createSection('Assign all to', 'Add every face that is in no group to this group');
+
+  container.appendChild(panel);
+
+  let result = { overlaps: [], unassigned: [] };
+
+  const fillGroups = (select, names) => {
+    const current = select.value;
+    select.innerHTML = '';
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    if (names.includes(current)) {
+      select.value = current;
+    }
+  };
+
+  const refresh = () => {
+    const faceIndices = getFaceIndices();
+    panel.style.display = faceIndices.length > 0 ? 'block' : 'none';
+    result = validateGroups(selectionState, faceIndices);
+    const { overlaps, unassigned } = result;
+
+    if (overlaps.length === 0 && unassigned.length === 0) {
+      summary.textContent = 'Every face is in a group, none in two exclusive groups';
+      summary.style.color = '#2a7a2a';
+    } else {
+      summary.textContent = `${overlaps.length} faces in several exclusive groups, ${unassigned.length} faces in no group`;
+      summary.style.color = '#b03030';
+    }
+
+    const unmeshed = getUnmeshedFaces();
+    unmeshedNote.style.display = unmeshed.length > 0 ? 'block' : 'none';
+    unmeshedNote.textContent = `${unmeshed.length} faces could not be meshed and are not shown: ${listFaces(unmeshed)}`;
+
+    overlapSection.section.style.display = overlaps.length > 0 ? 'block' : 'none';
+    overlapSection.text.textContent = 'Overlapping: ' + overlaps.slice(0, LISTED_FACES)
+      .map(({ faceIndex, groups }) => `#${faceIndex} (${groups.join(', ')})`).join(', ') +
+      (overlaps.length > LISTED_FACES ? ` and ${overlaps.length - LISTED_FACES} more` : '');
+    fillGroups(overlapSection.groupSelect, [...new Set(overlaps.flatMap(overlap => overlap.groups))]);
+
+    unassignedSection.section.style.display = unassigned.length > 0 ? 'block' : 'none';
+    unassignedSection.text.textContent = `In no group: ${listFaces(unassigned)}`;
+    fillGroups(unassignedSection.groupSelect, listGroups(selectionState));
+  };
+
+  overlapSection.showButton.onclick = () => onShow(result.overlaps.map(overlap => overlap.faceIndex));
+  overlapSection.fixButton.onclick = () => {
+    const keepGroup = overlapSection.groupSelect.value;
+    if (!keepGroup) return;
+    // Only the overlaps this group is part of
+    const faces = result.overlaps.filter(overlap => overlap.groups.includes(keepGroup)).map(overlap => overlap.faceIndex);
+    record(`Keep overlapping faces only in '${keepGroup}'`, () => resolveOverlaps(selectionState, faces, keepGroup));
+    onChange();
+  };
+
+  unassignedSection.showButton.onclick = () => onShow(result.unassigned);
+  unassignedSection.fixButton.onclick = () => {
+    const groupName = unassignedSection.groupSelect.value;
+    if (!groupName) return;
+    record(`Assign remaining faces to '${groupName}'`, () => assignRemainingFaces(selectionState, getFaceIndices(), groupName));
+    onChange();
+  };
+
+  return { element: panel, refresh: refresh };
+}
@@ -0,0 +1,153 @@
+// history.js - Undo/redo of selections and group edits. Every change is recorded as a command
+// holding the selection state before and after it, so undoing a command puts back exactly
+// what it changed: selected faces, selection mode, groups, their settings and face visibility
+import { fixSelectionState } from './fixes.js';
+
+// Commands kept for undo; older ones are dropped
+const HISTORY_LIMIT = 100;
+
+// Copy of the parts of the selection state a command can change
+function takeSnapshot(selectionState) {
+  return {
+    mode: selectionState.mode,
+    inSelectionMode: selectionState.inSelectionMode,
+    selectedFaces: Array.from(selectionState.selectedFaces),
+    physicalGroups: Array.from(selectionState.physicalGroups, ([name, faces]) => [name, Array.from(faces)]),
+    groupSettings: Array.from(selectionState.groupSettings, ([name, settings]) => [name, { ...settings }]),
+    hiddenFaces: Array.from(selectionState.hiddenFaces),
+    transparentFaces: Array.from(selectionState.transparentFaces)
+  };
+}
+
+// Puts a snapshot back. The sets and maps are refilled in place since the viewer keeps
+// references to them
+function applySnapshot(selectionState, snapshot) {
+  selectionState.mode = snapshot.mode;
+  selectionState.inSelectionMode = snapshot.inSelectionMode;
+  ['selectedFaces', 'hiddenFaces', 'transparentFaces'].forEach(key => {
+    selectionState[key].clear();
+    snapshot[key].forEach(faceIndex => selectionState[key].add(faceIndex));
+  });
+  selectionState.physicalGroups.clear();
+  snapshot.physicalGroups.forEach(([name, faces]) => selectionState.physicalGroups.set(name, faces.slice()));
+  selectionState.groupSettings.clear();
+  snapshot.groupSettings.forEach(([name, settings]) => selectionState.groupSettings.set(name, { ...settings }));
+  fixSelectionState(selectionState);
+}
+
+const sameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Creates the undo/redo history of a selection state
+ * @param {Object} selectionState - The viewer's selection state
+ * @param {Object} callbacks - { onRestore(label, direction) after an undo or redo ('undo' or
+ *                              'redo') changed the state,
+ *                              onChange() whenever what can be undone or redone changes }
+ * @returns {Object} { record(label, change, mergeKey), undo(), redo(), clear(), canUndo(),
+ *                     canRedo(), undoLabel(), redoLabel() }
+ */
+export function createHistory(selectionState, callbacks = {}) {
+  const { onRestore = () => {}, onChange = () => {} } = callbacks;
+  const undoStack = [];
+  const redoStack = [];
+
+  /**
+   * Runs a change of the selection state as an undoable command. A change that throws leaves
+   * the state as it was, and one that changes nothing is not recorded
+   * @param {string} label - What the change does, e.g. "Delete group 'inlet'"
+   * @param {Function} change - Changes the selection state
+   * @param {*} mergeKey - Consecutive changes with the same key are undone together (one
+   *                       paint stroke), null never merges
+   * @returns {*} The result of the change
+   */
+  const record = (label, change, mergeKey = null) => {
+    const before = takeSnapshot(selectionState);
+    let result;
+    try {
+      result = change();
+    } catch (error) {
+      applySnapshot(selectionState, before);
+      throw error;
+    }
+    const after = takeSnapshot(selectionState);
+    if (sameSnapshot(before, after)) return result;
+
+    const last = undoStack[undoStack.length - 1];
+    if (mergeKey !== null && last && last.mergeKey === mergeKey) {
+      last.after = after;
+    } else {
+      undoStack.push({ label, before, after, mergeKey });
+      if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+      }
+    }
+    redoStack.length = 0;
+    onChange();
+    return result;
+  };
+
+  // Moves the newest command from one stack to the other, restoring the matching snapshot
+  const travel = (from, to, snapshotKey, direction) => {
+    const command = from.pop();
+    if (!command) return null;
+    applySnapshot(selectionState, command[snapshotKey]);
+    // Whatever comes next starts a new command, even with the same merge key
+    command.mergeKey = null;
+    to.push(command);
+    onRestore(command.label, direction);
+    onChange();
+    return command.label;
+  };
+
+  return {
+    record: record,
+    // Both return the label of the command, or null if there was nothing to do
+    undo: () => travel(undoStack, redoStack, 'before', 'undo'),
+    redo: () => travel(redoStack, undoStack, 'after', 'redo'),
+    // Face indices of another model mean other faces, so a new model starts a new history
+    clear: () => {
+      undoStack.length = 0;
+      redoStack.length = 0;
+      onChange();
+    },
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    undoLabel: () => (undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null),
+    redoLabel: () => (redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null)
+  };
+}
+
+/**
+ * Adds Undo and Redo buttons for a history to the given container
+ * @param {HTMLElement} container - Element the buttons are appended to
+ * @param {Object} history - As created by createHistory
+ * @returns {Object} { element, refresh() } to call from the history's onChange
+ */
+export function createHistoryButtons(container, history) {
+  const panel = document.createElement('div');
+  panel.style.display = 'flex';
+  panel.style.gap = '5px';
+  panel.style.marginBottom = '5px';
+
+  const undoButton = document.createElement('button');
+  undoButton.textContent = 'Undo';
+  undoButton.onclick = () => history.undo();
+  panel.appendChild(undoButton);
+
+  const redoButton = document.createElement('button');
+  redoButton.textContent = 'Redo';
+  redoButton.onclick = () => history.redo();
+  panel.appendChild(redoButton);
+
+  container.appendChild(panel);
+
+  const refresh = () => {
+    undoButton.disabled = !history.canUndo();
+    undoButton.title = history.canUndo() ? `Undo ${history.undoLabel()} (Ctrl+Z)` : 'Nothing to undo';
+    redoButton.disabled = !history.canRedo();
+    redoButton.title = history.canRedo() ? `Redo ${history.redoLabel()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  };
+  refresh();
+
+  return { element: panel, refresh: refresh };
+}
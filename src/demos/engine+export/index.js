@@ -1,4 +1,3 @@
-import initOpenCascade from "opencascade.js";
 import {
   Color,
   Mesh,
@@ -6,19 +5,69 @@ import {
   Group,
   Raycaster,
   Vector2,
-  PerspectiveCamera
+  Vector3,
+  Box3
 } from 'three';
-import { setupThreeJSViewport } from './library.js';
-import visualize, { importSTEP } from '../../common/visualize.js';
+import {
+  setupThreeJSViewport,
+  fitCameraToObjects,
+  setProjection,
+  setStandardView
+} from './library.js';
+import { createCADKernel } from '../../common/cadKernelClient.js';
+import {
+  createFaceGeometry,
+  DEFAULT_TESSELLATION,
+  DEFAULT_EXPORT_TESSELLATION
+} from '../../common/visualize.js';
 import { loadSTEPFile } from "./library.js";
-import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
 import { 
   fixSelectionState, 
   validateFaceIndices, 
   validateSceneMeshes,
-  backupSelectionState
+  backupSelectionState,
+  rebindSelectionState,
+  createSelectionBackup,
+  applySelectionBackup
 } from './fixes.js';
 import { setupServerStorage } from './serverStorage.js';
+import { createTessellationPanel } from './tessellationPanel.js';
+import { createAssemblyTreePanel } from './assemblyTree.js';
+import { createFaceInfoPanel } from './faceInfoPanel.js';
+import { createModelPropertiesPanel } from './modelPropertiesPanel.js';
+import { createViewCube } from './viewCube.js';
+import { createSectionPanel } from './sectionPanel.js';
+import { createEdgeOverlayPanel } from './edgeOverlay.js';
+import {
+  DEFAULT_GROUPS,
+  createGroupManagerPanel,
+  groupForShortcut,
+  groupColorsByFace,
+  getGroupSettings,
+  listGroups
+} from './groupManager.js';
+import { createGroupValidationPanel, validateGroups } from './groupValidation.js';
+import {
+  createRegionSelectionPanel,
+  selectionOperation,
+  applySelectionOperation
+} from './regionSelection.js';
+import { createSmartSelectionPanel } from './smartSelection.js';
+import { createHistory, createHistoryButtons } from './history.js';
+import { createMeshExportPanel, writeOBJ, writePLY, writeGLTF, MESH_FORMATS } from './meshExport.js';
+import { createBRepExportPanel } from './brepExportPanel.js';
+import {
+  createProjectPanel,
+  createProject,
+  parseProject,
+  captureCamera,
+  applyCamera
+} from './projectFile.js';
+import {
+  createVisibilityPanel,
+  updateFaceVisibility,
+  applyFaceVisibility
+} from './visibilityPanel.js';
 
 console.log("Imports completed, serverStorage module:", typeof setupServerStorage);
 
@@ -56,12 +105,58 @@ uiContainer.appendChild(selectionCountElement);
 
 // Current selection state
 let selectionState = {
-  mode: null, // 'inlet', 'outlet', etc.
+  mode: null, // Name of the group being selected, 'inlet', 'outlet', etc.
   selectedFaces: new Set(),
   physicalGroups: new Map(), // Map to store named groups of faces
+  // Color and keyboard shortcut of every group, see groupManager.js
+  groupSettings: new Map(DEFAULT_GROUPS.map(({ name, color, shortcut }) => [name, { color, shortcut, exclusive: true }])),
+  hiddenFaces: new Set(), // Faces hidden or made see-through, saved with the groups
+  transparentFaces: new Set(),
   inSelectionMode: false
 };
 
+// Face last clicked outside selection mode, target of the single face visibility commands
+let lastClickedFace = null;
+
+// Status line hint listing the group shortcuts
+function groupShortcutHint() {
+  const keys = Array.from(selectionState.groupSettings.entries())
+    .filter(([name, settings]) => settings.shortcut)
+    .map(([name, settings]) => `"${settings.shortcut.toUpperCase()}" for ${name}`);
+  return keys.length > 0
+    ? `Press ${keys.join(', ')}, or pick a group in the groups panel`
+    : 'Pick a group in the groups panel to select its faces';
+}
+
+// Colors every face: green while it is being selected, then its group's color, then its CAD color
+function refreshFaceColors() {
+  const group = scene.getObjectByName("shape");
+  if (!group) return;
+  
+  const groupColors = groupColorsByFace(selectionState);
+  group.children.forEach(mesh => {
+    const faceIndex = mesh.userData.faceIndex;
+    if (selectionState.inSelectionMode && selectionState.selectedFaces.has(faceIndex)) {
+      mesh.material.color.set(0x00ff00);
+    } else if (groupColors.has(faceIndex)) {
+      mesh.material.color.set(groupColors.get(faceIndex));
+    } else if (mesh.userData.originalColor) {
+      mesh.material.color.copy(mesh.userData.originalColor);
+    }
+  });
+}
+
+// Brings the face colors, the group list and the group check up to date after groups changed
+function refreshGroupViews() {
+  refreshFaceColors();
+  if (groupManagerPanel) {
+    groupManagerPanel.refresh();
+  }
+  if (groupValidationPanel) {
+    groupValidationPanel.refresh();
+  }
+}
+
 // Define the confirmSelection function separately
 function confirmSelection() {
   if (!selectionState.inSelectionMode || selectionState.selectedFaces.size === 0) return;
@@ -80,10 +175,12 @@ function confirmSelection() {
   selectionModeElement.textContent = 'Selection mode: Inactive';
   selectionCountElement.textContent = '';
   
-  // Keep the colors for the group we just defined
+  // The new group shows in its own color
+  refreshGroupViews();
+  
   setTimeout(() => {
     if (!selectionState.inSelectionMode) {
-      statusElement.textContent = 'Press "I" for inlet, "O" for outlet, or "W" for wall selection';
+      statusElement.textContent = groupShortcutHint();
     }
   }, 2000);
 }
@@ -93,49 +190,66 @@ selectionState.confirmSelection = confirmSelection;
 
 console.log("Selection state initialized:", selectionState);
 
-// Helper function to start a new selection sequence
+// Undo/redo of selections, group edits and visibility (Ctrl+Z / Ctrl+Shift+Z)
+let historyButtons = null;
+const editHistory = createHistory(selectionState, {
+  onRestore: (label, direction) => {
+    refreshSelectionViews();
+    statusElement.textContent = `${direction === 'undo' ? 'Undone' : 'Redone'}: ${label}`;
+  },
+  onChange: () => {
+    if (historyButtons) {
+      historyButtons.refresh();
+    }
+  }
+});
+
+// Brings everything showing the selection state up to date after an undo or redo
+function refreshSelectionViews() {
+  selectionModeElement.textContent = selectionState.inSelectionMode
+    ? `Currently selecting: ${selectionState.mode}`
+    : 'Selection mode: Inactive';
+  selectionCountElement.textContent = selectionState.inSelectionMode
+    ? `Selected: ${selectionState.selectedFaces.size} faces`
+    : '';
+  refreshGroupViews();
+  const group = scene.getObjectByName("shape");
+  if (group) {
+    applyVisibility(group);
+  }
+  backupSelectionState(selectionState, group ? group.userData.faceMap : null);
+}
+
+// Helper function to start a new selection sequence. A group that already has faces
+// starts with them selected, so it can be edited rather than redone
 function startSelection(groupName) {
-  selectionState.mode = groupName;
-  selectionState.selectedFaces.clear();
-  selectionState.inSelectionMode = true;
+  // Undoable, so a stray shortcut key doesn't lose the faces being selected
+  editHistory.record(`Start selecting '${groupName}'`, () => {
+    selectionState.mode = groupName;
+    selectionState.selectedFaces.clear();
+    (selectionState.physicalGroups.get(groupName) || []).forEach(faceIndex => selectionState.selectedFaces.add(faceIndex));
+    selectionState.inSelectionMode = true;
+  });
   selectionModeElement.textContent = `Currently selecting: ${groupName}`;
-  selectionCountElement.textContent = 'Selected: 0 faces';
+  selectionCountElement.textContent = `Selected: ${selectionState.selectedFaces.size} faces`;
   statusElement.textContent = `Select faces for ${groupName}, then press Enter to confirm`;
   
   // Show UI container when selection starts
   uiContainer.style.display = 'block';
   
-  // Reset any previously colored faces
-  const group = scene.getObjectByName("shape");
-  if (group) {
-    group.children.forEach(child => {
-      if (child.userData.originalColor) {
-        child.material.color.copy(child.userData.originalColor);
-      }
-    });
-  }
+  // Selected faces turn green, the other groups keep their colors
+  refreshFaceColors();
 }
 
-// Function to add a face to the current selection
-function addFaceToSelection(faceIndex, mesh) {
+// Adds faces to, or removes them from, the current selection: 'toggle' for a plain click,
+// 'replace', 'add' or 'subtract' for the other gestures (see regionSelection.js). The label
+// and merge key go to the undo history
+function updateSelection(faceIndices, operation, label, mergeKey = null) {
   if (!selectionState.inSelectionMode) return;
   
-  if (selectionState.selectedFaces.has(faceIndex)) {
-    // Deselect if already selected
-    selectionState.selectedFaces.delete(faceIndex);
-    // Reset color
-    if (mesh.userData.originalColor) {
-      mesh.material.color.copy(mesh.userData.originalColor);
-    }
-  } else {
-    // Add to selection
-    selectionState.selectedFaces.add(faceIndex);
-    // Change color to highlight selection
-    if (!mesh.userData.originalColor) {
-      mesh.userData.originalColor = mesh.material.color.clone();
-    }
-    mesh.material.color.set(0x00ff00); // Green for selected face
-  }
+  editHistory.record(label, () => applySelectionOperation(selectionState.selectedFaces, faceIndices, operation), mergeKey);
+  // Selected faces turn green, deselected ones go back to their group or CAD color
+  refreshFaceColors();
   
   // Update selection count
   selectionCountElement.textContent = `Selected: ${selectionState.selectedFaces.size} faces`;
@@ -143,37 +257,79 @@ function addFaceToSelection(faceIndex, mesh) {
 
 // Add keyboard event listeners
 document.addEventListener('keydown', (event) => {
+  // Typing in the panels' text fields (group names, shortcuts) is not a shortcut
+  const target = event.target;
+  if (target && (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA')) {
+    return;
+  }
+  
+  // Undo and redo; Ctrl+Y redoes too
+  if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+    const key = event.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      event.preventDefault();
+      const done = key === 'y' || event.shiftKey ? editHistory.redo() : editHistory.undo();
+      if (done === null) {
+        statusElement.textContent = key === 'z' && !event.shiftKey ? 'Nothing to undo' : 'Nothing to redo';
+      }
+      return;
+    }
+  }
+  
   // Enter key to confirm selection
   if (event.key === 'Enter' && selectionState.inSelectionMode) {
     selectionState.confirmSelection();
     console.log("Selection confirmed via Enter key");
   }
   
-  // Shortcut keys to start different selection modes
-  if (event.key === 'i' || event.key === 'I') {
-    startSelection('inlet');
-  } else if (event.key === 'o' || event.key === 'O') {
-    startSelection('outlet');
-  } else if (event.key === 'w' || event.key === 'W') {
-    startSelection('wall');
+  // Shortcut keys to start selecting a group, as assigned in the groups panel
+  const shortcutGroup = event.ctrlKey || event.metaKey || event.altKey ? null : groupForShortcut(selectionState, event.key);
+  if (shortcutGroup) {
+    startSelection(shortcutGroup);
+  } else if (event.key === 'h' || event.key === 'H') {
+    // Hide the selection if there is one, the clicked face otherwise
+    runVisibilityCommand('hide', selectionState.selectedFaces.size > 0 ? 'selection' : 'face');
+  } else if (event.key === 'f' || event.key === 'F') {
+    // Fit the selection if there is one, the whole model otherwise
+    if (selectionState.selectedFaces.size > 0) {
+      fitSelection();
+    } else {
+      fitAll();
+    }
   }
 });
 
+// Mesh of one B-Rep face, with its own material so it can be colored on its own
+function createFaceMesh(geometry, faceData) {
+  // Create a material that can be individually colored, starting from the CAD color if the file has one
+  const objectMat = new MeshStandardMaterial({
+    color: faceData.color != null ? new Color(faceData.color) : new Color(0.9, 0.9, 0.9),
+    // Pushed back slightly so the edge overlay is drawn on top of the faces
+    polygonOffset: true,
+    polygonOffsetFactor: 1,
+    polygonOffsetUnits: 1
+  });
+  
+  // Create mesh with the geometry and material
+  const mesh = new Mesh(geometry, objectMat);
+  
+  // Transfer the face index to the mesh's userData as well
+  mesh.userData.faceIndex = geometry.userData.faceIndex;
+  
+  // Part instance of the assembly tree this face belongs to, and its CAD layers
+  mesh.userData.partId = faceData.partId;
+  mesh.userData.layers = faceData.layers || [];
+  
+  // Highlight resets go back to the CAD color
+  mesh.userData.originalColor = objectMat.color.clone();
+  return mesh;
+}
+
 // Function to add shape to scene (defined before it's used)
-let addShapeToScene = async (openCascade, shapeData, scene) => {
+// The geometries were meshed in the CAD kernel worker and streamed back per face
+let addShapeToScene = async (kernel, importedData, scene) => {
   console.log("Adding shape to scene");
-  // Check if we're passing a shape or imported data with face mapping
-  let result;
-  if (shapeData.shape && shapeData.faceMap) {
-    // We're passing imported data with face mapping
-    result = visualize(openCascade, shapeData);
-  } else {
-    // We're passing a plain shape (legacy support)
-    result = {
-      geometries: visualize(openCascade, shapeData),
-      faceMap: null
-    };
-  }
+  const result = importedData;
   
   // Create a group to hold all meshes
   const group = new Group();
@@ -186,41 +342,543 @@ let addShapeToScene = async (openCascade, shapeData, scene) => {
     // Use the index+1 as the faceIndex if it doesn't already exist
     geometry.userData.faceIndex = geometry.userData.faceIndex || (index + 1);
     
-    // Create a material that can be individually colored
-    const objectMat = new MeshStandardMaterial({
-      color: new Color(0.9, 0.9, 0.9)
-    });
-    
-    // Create mesh with the geometry and material
-    const mesh = new Mesh(geometry, objectMat);
-    
-    // Transfer the face index to the mesh's userData as well
-    mesh.userData.faceIndex = geometry.userData.faceIndex;
-    
     // Add the mesh to the group
-    group.add(mesh);
+    group.add(createFaceMesh(geometry, result.faceMap.get(geometry.userData.faceIndex) || {}));
   });
   
   // Apply rotation to the entire group
   group.rotation.x = -Math.PI / 2;
   
-  // Store the face map in the group for later reference
+  // Store the face map and product tree in the group for later reference
   group.userData.faceMap = result.faceMap;
+  group.userData.assembly = result.assembly;
+  group.userData.edges = result.edges || [];
   
   // Add the group to the scene
   scene.add(group);
   
+  // B-Rep edges on top of the faces
+  if (edgeOverlay) {
+    edgeOverlay.setEdges(group.userData.edges, group);
+  }
+  
+  // Frame the new model; clipping planes and zoom limits follow its size
+  fitCameraToObjects(scene, [group], { updateLimits: true });
+  
+  if (assemblyTreePanel) {
+    assemblyTreePanel.setAssembly(result.assembly);
+  }
+  if (faceInfoPanel) {
+    faceInfoPanel.clear();
+  }
+  if (modelPropertiesPanel) {
+    modelPropertiesPanel.setModelLoaded(true);
+  }
+  if (sectionPanel) {
+    sectionPanel.setModel(group);
+  }
+  
   // Update UI to show selection options
-  statusElement.textContent = 'Model loaded. Press "I" for inlet, "O" for outlet, or "W" for wall selection';
+  statusElement.textContent = `Model loaded. ${groupShortcutHint()}`;
   uiContainer.style.display = 'block';
   
   return group;
 };
 
-let openCascadeInstance = null; // Store OpenCascade instance globally
+// CAD kernel worker: all OpenCascade work (import, meshing, export) runs there
+const cadKernel = createCADKernel();
+
+// Tessellation used for the viewer and, separately, for exported meshes
+const tessellationSettings = {
+  display: { ...DEFAULT_TESSELLATION },
+  export: { ...DEFAULT_EXPORT_TESSELLATION }
+};
+let tessellationPanel = null;
+
+// Stores the boundary groups as the solids of one ASCII STL file instead of a file per group,
+// optionally with an 'unassigned' solid for the remaining faces (see serverStorage.js)
+const multiSolidSettings = {
+  enabled: false,
+  includeUnassigned: true,
+  name: 'all_groups'
+};
+let assemblyTreePanel = null;
+let faceInfoPanel = null;
+let modelPropertiesPanel = null;
+let sectionPanel = null;
+let edgeOverlay = null;
+let groupManagerPanel = null;
+let groupValidationPanel = null;
+
+// Frames the whole model
+function fitAll() {
+  const group = scene.getObjectByName("shape");
+  if (!group) {
+    statusElement.textContent = 'No model loaded';
+    return;
+  }
+  fitCameraToObjects(scene, [group]);
+}
+
+// Frames the given faces, reporting in the status panel when there is nothing to frame
+function fitFaces(faceIndices, description) {
+  const group = scene.getObjectByName("shape");
+  if (!group) {
+    statusElement.textContent = 'No model loaded';
+    return;
+  }
+  
+  const wanted = new Set(faceIndices);
+  const meshes = group.children.filter(mesh => wanted.has(mesh.userData.faceIndex));
+  if (!fitCameraToObjects(scene, meshes)) {
+    statusElement.textContent = `Nothing to fit: ${description} has no visible faces`;
+  }
+}
+
+// Frames the faces being selected, or the last confirmed selection
+function fitSelection() {
+  fitFaces(Array.from(selectionState.selectedFaces), 'the selection');
+}
+
+// Frames the faces of a physical group
+function fitGroup(groupName) {
+  fitFaces(selectionState.physicalGroups.get(groupName) || [], `group '${groupName}'`);
+}
+
+// Faces a visibility command targets: 'selection', 'face' (the last clicked one) or 'group:<name>'
+function visibilityTargetFaces(target) {
+  if (target === 'selection') {
+    return Array.from(selectionState.selectedFaces);
+  }
+  if (target === 'face') {
+    return lastClickedFace !== null ? [lastClickedFace] : [];
+  }
+  if (target.startsWith('group:')) {
+    return selectionState.physicalGroups.get(target.slice('group:'.length)) || [];
+  }
+  return [];
+}
+
+// Shows the faces and their edges according to the selection state
+function applyVisibility(group) {
+  applyFaceVisibility(group, selectionState);
+  if (edgeOverlay) {
+    edgeOverlay.updateVisibility(selectionState.hiddenFaces);
+  }
+}
+
+// Hides, shows, isolates or fades faces and saves the result with the groups
+function runVisibilityCommand(command, target) {
+  const group = scene.getObjectByName("shape");
+  if (!group) {
+    statusElement.textContent = 'No model loaded';
+    return;
+  }
+  
+  const faceIndices = command === 'showAll' ? [] : visibilityTargetFaces(target);
+  if (command !== 'showAll' && faceIndices.length === 0) {
+    statusElement.textContent = target === 'face' ? 'Click a face first' : 'No faces to apply this to';
+    return;
+  }
+  
+  const labels = { hide: 'Hide', show: 'Show', isolate: 'Isolate', transparent: 'Toggle transparency of', showAll: 'Show all faces' };
+  const label = command === 'showAll' ? labels.showAll : `${labels[command]} ${faceIndices.length} faces`;
+  editHistory.record(label, () => updateFaceVisibility(selectionState, command, faceIndices, group.children.map(mesh => mesh.userData.faceIndex)));
+  applyVisibility(group);
+  backupSelectionState(selectionState, group.userData.faceMap);
+  statusElement.textContent = `${selectionState.hiddenFaces.size} faces hidden, ${selectionState.transparentFaces.size} transparent`;
+}
+
+// Computes the loaded model's mass properties in the kernel and keeps them with the shape group
+async function analyzeModel() {
+  const group = scene.getObjectByName("shape");
+  if (!group) {
+    throw new Error('No model loaded');
+  }
+  group.userData.modelProperties = await cadKernel.getModelProperties();
+  return group.userData.modelProperties;
+}
+
+// Lights up the given faces without touching the selection and group colors
+function highlightFaces(faceIndices) {
+  const group = scene.getObjectByName("shape");
+  if (!group) return;
+  
+  const highlighted = new Set(faceIndices);
+  group.children.forEach(mesh => {
+    mesh.material.emissive.set(highlighted.has(mesh.userData.faceIndex) ? 0x0050a0 : 0x000000);
+  });
+}
+
+// Highlights the faces of an assembly tree node
+function highlightAssemblyNode(node) {
+  highlightFaces(node ? node.faceIndices : []);
+  
+  if (node) {
+    statusElement.textContent = `${node.name}: ${node.faceIndices.length} faces`;
+  }
+}
+
+// The loaded model { fileName, hash, file }, referenced by saved projects. Only the File is
+// kept: its bytes are read again when a project embeds the model
+let currentModel = null;
+// Project waiting for its model file to be loaded, see openProject
+let pendingProject = null;
+let projectPanel = null;
+
+// Sets or clears the project waiting for its model, and offers to cancel it while it waits
+function setPendingProject(project) {
+  pendingProject = project;
+  if (projectPanel) {
+    projectPanel.setWaiting(project ? project.model.fileName : null);
+  }
+}
+
+// Load a STEP/IGES file and report import errors in the status panel
+async function loadModelFile(kernel, file) {
+  statusElement.textContent = `Loading: ${file.name}`;
+  uiContainer.style.display = 'block';
+  const importedData = await loadSTEPFile(kernel, file, addShapeToScene, scene, tessellationSettings.display);
+  if (!importedData.error && tessellationPanel) {
+    tessellationPanel.setInfo(`Linear deflection: ${importedData.linearDeflection.toPrecision(3)} model units`);
+  }
+  if (importedData.error) {
+    statusElement.textContent = `Could not load ${file.name}: ${importedData.error.message}`;
+    // The project's groups must not land on whatever model is opened next
+    if (pendingProject) {
+      statusElement.textContent += `. The project for ${pendingProject.model.fileName} was not opened`;
+      setPendingProject(null);
+    }
+    uiContainer.style.display = 'block';
+    return importedData;
+  }
+  
+  currentModel = { fileName: file.name, hash: importedData.fileHash, file: file };
+  
+  // Groups come from the project being opened, or else from the last backup. Either way they
+  // are bound to the new faces by signature, face indices may have shifted. A model with
+  // another name and contents was opened on purpose, the waiting project is dropped
+  const waiting = pendingProject;
+  const project = waiting && (waiting.model.fileName === file.name || waiting.model.hash === importedData.fileHash) ? waiting : null;
+  setPendingProject(null);
+  const rebinding = project
+    ? applySelectionBackup(selectionState, project.selection, importedData.faceMap)
+    : rebindSelectionState(selectionState, importedData.faceMap);
+  // Without signatures nothing can be bound: groups, selection and hidden faces of another
+  // model would point at arbitrary faces of this one
+  const droppedGroups = rebinding ? 0 : selectionState.physicalGroups.size;
+  if (!rebinding) {
+    selectionState.physicalGroups.clear();
+    selectionState.selectedFaces.clear();
+    selectionState.inSelectionMode = false;
+    selectionState.hiddenFaces.clear();
+    selectionState.transparentFaces.clear();
+  }
+  lastClickedFace = null;
+  editHistory.clear();
+  refreshSelectionViews();
+  if (rebinding) {
+    const restored = Array.from(selectionState.physicalGroups.keys());
+    statusElement.textContent = `Restored groups: ${restored.join(', ') || 'none'}`;
+    if (rebinding.unmatched.length > 0) {
+      const groups = [...new Set(rebinding.unmatched.map(entry => entry.group))];
+      statusElement.textContent += ` (${rebinding.unmatched.length} saved faces not found in this model, from ${groups.join(', ')})`;
+    }
+  } else if (droppedGroups > 0) {
+    statusElement.textContent = `${droppedGroups} groups of the previous model were cleared, they could not be bound to this model's faces`;
+  }
+  if (project) {
+    finishOpeningProject(project, rebinding);
+  } else if (waiting) {
+    statusElement.textContent += `. The project for ${waiting.model.fileName} was not opened, ${file.name} is another model`;
+  }
+  return importedData;
+}
+
+// Hands a file to the browser as a download
+function downloadFile(contents, fileName, type) {
+  const blob = new Blob([contents], { type: type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// File name of the loaded model without its extension, for naming exported files. Kept to
+// [A-Za-z0-9_.-] like the names the CAD kernel writes
+function modelBaseName() {
+  const name = currentModel ? currentModel.fileName.replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9_.-]/g, '_').replace(/^\.+/, '') : '';
+  return name || 'model';
+}
+
+// Every face of the loaded model, from the kernel's face list. Exports and the group check
+// all use this, so a face that failed to mesh for display still counts
+function modelFaceIndices() {
+  const group = scene.getObjectByName("shape");
+  return group && group.userData.faceMap ? Array.from(group.userData.faceMap.keys()) : [];
+}
+
+// Faces of the loaded model that have no display mesh, so can't be clicked or shown
+function unmeshedFaceIndices() {
+  const group = scene.getObjectByName("shape");
+  if (!group || !group.userData.faceMap) return [];
+  return modelFaceIndices().filter(faceIndex => !group.userData.faceMap.get(faceIndex).geometry);
+}
+
+// Downloads the groups as an OBJ, PLY, glTF or GLB mesh, meshed with the export tessellation
+async function exportGroupMeshes(format, includeUnassigned) {
+  const group = scene.getObjectByName("shape");
+  if (!group) {
+    statusElement.textContent = 'Load a model before exporting';
+    return;
+  }
+  
+  const groups = groupsWithFaces().map(name => ({ name: name, color: getGroupSettings(selectionState, name).color, faceIndices: selectionState.physicalGroups.get(name) }));
+  if (includeUnassigned) {
+    const { unassigned } = validateGroups(selectionState, modelFaceIndices());
+    if (unassigned.length > 0) {
+      if (groups.some(entry => entry.name === 'unassigned')) {
+        statusElement.textContent = "A group is named 'unassigned', rename it to export the unassigned faces";
+        return;
+      }
+      groups.push({ name: 'unassigned', color: '#cccccc', faceIndices: unassigned });
+    }
+  }
+  if (groups.length === 0) {
+    statusElement.textContent = 'No groups to export';
+    return;
+  }
+  
+  const { label, extension, type } = MESH_FORMATS[format];
+  statusElement.textContent = `Exporting ${label}...`;
+  try {
+    // Faces in several groups are meshed once and written in each of them
+    const buffers = new Map();
+    const faceIndices = [...new Set(groups.flatMap(entry => entry.faceIndices))];
+    const { unmeshedFaces } = await cadKernel.exportMeshes(faceIndices, tessellationSettings.export, face => buffers.set(face.faceIndex, face));
+    // Faces the kernel couldn't mesh are left out and reported, the rest is still exported
+    groups.forEach(entry => {
+      entry.faces = entry.faceIndices.filter(faceIndex => buffers.has(faceIndex)).map(faceIndex => buffers.get(faceIndex));
+    });
+    if (buffers.size === 0) {
+      statusElement.textContent = `Could not export ${label}: none of the faces could be meshed`;
+      return;
+    }
+    
+    const fileName = `${modelBaseName()}.${extension}`;
+    if (format === 'obj') {
+      const mtlFileName = `${modelBaseName()}.mtl`;
+      const { obj, mtl } = writeOBJ(groups, mtlFileName);
+      downloadFile(obj, fileName, type);
+      downloadFile(mtl, mtlFileName, 'text/plain');
+    } else if (format === 'ply') {
+      downloadFile(writePLY(groups), fileName, type);
+    } else {
+      const result = await writeGLTF(groups, format === 'glb');
+      downloadFile(format === 'glb' ? result : JSON.stringify(result), fileName, type);
+    }
+    const skipped = unmeshedFaces.length > 0 ? `, skipped ${unmeshedFaces.length} faces that could not be meshed: #${unmeshedFaces.join(', #')}` : '';
+    statusElement.textContent = `Exported ${groups.length} groups as ${label}${skipped}`;
+  } catch (error) {
+    console.error(`${label} export failed:`, error);
+    statusElement.textContent = `Could not export ${label}: ${error.message}`;
+  }
+}
+
+// Names of the groups that have faces
+function groupsWithFaces() {
+  return listGroups(selectionState).filter(name => (selectionState.physicalGroups.get(name) || []).length > 0);
+}
+
+// Downloads the groups as exact geometry written by the CAD kernel (STEP, IGES or BREP)
+async function exportGroupsBRep(format, groupNames) {
+  if (!scene.getObjectByName("shape")) {
+    statusElement.textContent = 'Load a model before exporting';
+    return;
+  }
+  if (groupNames.length === 0) {
+    statusElement.textContent = 'No groups to export';
+    return;
+  }
+  
+  statusElement.textContent = `Exporting ${format.toUpperCase()}...`;
+  try {
+    const groups = groupNames.map(name => ({ name: name, faceIndices: selectionState.physicalGroups.get(name) }));
+    const { files } = await cadKernel.exportBRep(groups, format, modelBaseName());
+    files.forEach(file => downloadFile(file.data, file.fileName, 'application/octet-stream'));
+    statusElement.textContent = `Exported ${groupNames.join(', ')} as ${format.toUpperCase()}`;
+  } catch (error) {
+    console.error(`${format.toUpperCase()} export failed:`, error);
+    statusElement.textContent = `Could not export ${format.toUpperCase()}: ${error.message}`;
+  }
+}
+
+// Downloads the loaded model's groups, settings and view as a project file
+async function saveProject(embedModel) {
+  const group = scene.getObjectByName("shape");
+  if (!group || !currentModel) {
+    statusElement.textContent = 'Load a model before saving a project';
+    return;
+  }
+  
+  const { fileName, hash, file } = currentModel;
+  const project = createProject({
+    model: {
+      fileName: fileName,
+      hash: hash,
+      size: file.size,
+      bytes: embedModel ? new Uint8Array(await file.arrayBuffer()) : null
+    },
+    selection: createSelectionBackup(selectionState, group.userData.faceMap),
+    tessellation: tessellationSettings,
+    camera: captureCamera(scene)
+  }, embedModel);
+  
+  downloadFile(JSON.stringify(project, null, 2), `${modelBaseName()}.project.json`, 'application/json');
+  statusElement.textContent = `Saved project with ${selectionState.physicalGroups.size} groups`;
+}
+
+// Opens a project file: its mesh settings apply at once, its groups and view once its model is
+// loaded. That is the embedded model, the loaded one if it is the same file, or else the next
+// model file the user opens with the project's file name or hash
+async function openProject(file) {
+  let project;
+  try {
+    project = parseProject(await file.text());
+  } catch (error) {
+    statusElement.textContent = `Could not open ${file.name}: ${error.message}`;
+    return;
+  }
+  
+  const displayChanged = JSON.stringify(project.tessellation.display) !== JSON.stringify(tessellationSettings.display);
+  Object.assign(tessellationSettings.display, project.tessellation.display);
+  Object.assign(tessellationSettings.export, project.tessellation.export);
+  if (tessellationPanel) {
+    tessellationPanel.refresh();
+  }
+  
+  // The project replaces the groups, so a selection in progress is dropped
+  selectionState.inSelectionMode = false;
+  selectionState.selectedFaces.clear();
+  
+  if (project.model.bytes) {
+    setPendingProject(project);
+    await loadModelFile(cadKernel, new File([project.model.bytes], project.model.fileName));
+  } else if (currentModel && currentModel.hash === project.model.hash) {
+    if (displayChanged) {
+      await remeshShape(tessellationSettings.display);
+    }
+    const group = scene.getObjectByName("shape");
+    const rebinding = applySelectionBackup(selectionState, project.selection, group.userData.faceMap);
+    lastClickedFace = null;
+    editHistory.clear();
+    refreshSelectionViews();
+    finishOpeningProject(project, rebinding);
+  } else {
+    setPendingProject(project);
+    refreshSelectionViews();
+    statusElement.textContent = `Open the model file ${project.model.fileName} to finish opening the project, or cancel opening it`;
+  }
+}
+
+// Last steps of opening a project, once its groups are bound to the loaded model
+function finishOpeningProject(project, rebinding) {
+  if (project.camera) {
+    applyCamera(scene, project.camera);
+  }
+  const group = scene.getObjectByName("shape");
+  backupSelectionState(selectionState, group ? group.userData.faceMap : null);
+  
+  let message = `Opened project for ${project.model.fileName}: ${selectionState.physicalGroups.size} groups`;
+  if (!rebinding) {
+    message += ', the project has no face signatures so its groups could not be bound';
+  } else if (rebinding.unmatched.length > 0) {
+    message += `, ${rebinding.unmatched.length} saved faces not found in this model`;
+  }
+  if (currentModel.hash !== project.model.hash) {
+    message += '. The model file is not the one the project was saved with, groups were matched by face geometry';
+  }
+  statusElement.textContent = message;
+}
+
+// Bounding box diagonal of the loaded model in model units, the size relative deflections
+// scale with, or null without a model
+function modelDiagonal() {
+  const group = scene.getObjectByName("shape");
+  if (!group) return null;
+  const box = new Box3().setFromObject(group);
+  return box.isEmpty() ? null : box.getSize(new Vector3()).length();
+}
+
+// Re-tessellates the loaded shape in the worker and swaps the geometries of the existing
+// face meshes, so materials, selection colors and groups are kept. Faces that mesh for the
+// first time get a mesh, faces that no longer mesh lose theirs
+async function remeshShape(settings) {
+  const group = scene.getObjectByName("shape");
+  if (!group) {
+    statusElement.textContent = 'No model loaded to re-mesh';
+    return;
+  }
+  
+  statusElement.textContent = 'Re-meshing model...';
+  const meshesByFace = new Map(group.children.map(mesh => [mesh.userData.faceIndex, mesh]));
+  const edges = [];
+  
+  try {
+    const result = await cadKernel.mesh(settings, (face) => {
+      const geometry = createFaceGeometry(face.faceIndex, face);
+      const faceData = group.userData.faceMap.get(face.faceIndex);
+      Object.assign(faceData, { geometry: geometry, color: face.color, layers: face.layers });
+      
+      const mesh = meshesByFace.get(face.faceIndex);
+      if (mesh) {
+        mesh.geometry.dispose();
+        mesh.geometry = geometry;
+      } else {
+        // A face that had no display mesh before gets one now
+        group.add(createFaceMesh(geometry, faceData));
+      }
+    }, (edge) => edges.push(edge));
+    
+    // Faces that no longer mesh lose their old triangles, so they aren't shown or reported as meshed
+    result.unmeshedFaces.forEach(faceIndex => {
+      delete group.userData.faceMap.get(faceIndex).geometry;
+      const mesh = meshesByFace.get(faceIndex);
+      if (mesh) {
+        group.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+      }
+    });
+    
+    group.userData.edges = edges;
+    if (edgeOverlay) {
+      edgeOverlay.setEdges(edges, group);
+      edgeOverlay.updateVisibility(selectionState.hiddenFaces);
+    }
+    if (sectionPanel) {
+      sectionPanel.refresh();
+    }
+    // New and removed meshes need their group colors and visibility, and the group check its list
+    refreshGroupViews();
+    applyVisibility(group);
+    statusElement.textContent = `Re-meshed ${result.meshedFaces} faces` +
+      (result.unmeshedFaces.length > 0 ? `, ${result.unmeshedFaces.length} faces could not be meshed` : '');
+    if (tessellationPanel) {
+      tessellationPanel.setInfo(`Linear deflection: ${result.linearDeflection.toPrecision(3)} model units`);
+    }
+  } catch (error) {
+    console.error("Re-meshing failed:", error);
+    statusElement.textContent = `Re-meshing failed: ${error.message}`;
+  }
+}
 
 // Function to check and load uploaded model
-async function checkAndLoadUploadedModel(openCascade) {
+async function checkAndLoadUploadedModel(kernel) {
   console.log("Checking for uploaded model...");
   
   try {
@@ -244,9 +902,11 @@ async function checkAndLoadUploadedModel(openCascade) {
       sessionStorage.removeItem('pendingCADModel');
       
       // Load the file
-      await loadSTEPFile(openCascade, file, addShapeToScene, scene);
+      const importedData = await loadModelFile(kernel, file);
       
-      console.log("Model loaded successfully");
+      if (!importedData.error) {
+        console.log("Model loaded successfully");
+      }
     } else {
       console.log("No pending model data found");
       statusElement.textContent = 'No model uploaded. Use the file selector below.';
@@ -257,79 +917,25 @@ async function checkAndLoadUploadedModel(openCascade) {
   }
 }
 
-// Export to STL function
-// function exportToSTL() {
-//   const group = scene.getObjectByName("shape");
-//   if (!group) {
-//     alert("No model to export");
-//     return;
-//   }
-  
-//   const exporter = new STLExporter();
-//   const stlString = exporter.parse(group);
-  
-//   // Create a blob and trigger download
-//   const blob = new Blob([stlString], { type: 'text/plain' });
-//   const url = URL.createObjectURL(blob);
-//   const a = document.createElement('a');
-//   a.href = url;
-//   a.download = 'model.stl';
-//   document.body.appendChild(a);
-//   a.click();
-//   document.body.removeChild(a);
-//   URL.revokeObjectURL(url);
-// }
-function exportToSTL() {
-  const group = scene.getObjectByName("shape");
-  if (!group) {
-    alert("No model to export");
-    return;
-  }
-
-  const exporter = new STLExporter();
-  const stlString = exporter.parse(group); // ASCII STL
-
-  // Send to backend (same server)
-  fetch('/api/save-stl', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      filename: 'model.stl',
-      stlData: stlString
-    })
-  })
-  .then(res => res.text())
-  .then(msg => alert(msg))
-  .catch(err => {
-    console.error(err);
-    alert('Failed to save STL');
-  });
-}
-
-
 // Function to go back to upload page
 function goToUploadPage() {
   window.location.href = '../../index.html';
 }
 
-initOpenCascade().then(openCascade => {
-  console.log("OpenCascade initialized");
+cadKernel.init().then(() => {
+  console.log("OpenCascade initialized in the CAD kernel worker");
 
-  // Store the OpenCascade instance for later use
-  window.openCascadeInstance = openCascade;
-  openCascadeInstance = openCascade; // Also store locally for use in this module
-  console.log("OpenCascade instance stored globally for reference");
+  // Store the kernel client for debugging from the console
+  window.cadKernel = cadKernel;
   
   // Check for uploaded model first
-  checkAndLoadUploadedModel(openCascade);
+  checkAndLoadUploadedModel(cadKernel);
 
   // Allow users to upload STEP Files by either "File Selector" or "Drag and Drop".
   document.getElementById("step-file").addEventListener(
     'input', async (event) => { 
       console.log("File input triggered");
-      await loadSTEPFile(openCascade, event.srcElement.files[0], addShapeToScene, scene); 
+      await loadModelFile(cadKernel, event.srcElement.files[0]); 
     });
     
   document.body.addEventListener("dragenter", (e) => { e.stopPropagation(); e.preventDefault(); }, false);
@@ -338,7 +944,7 @@ initOpenCascade().then(openCascade => {
     e.stopPropagation(); e.preventDefault();
     console.log("File drop triggered");
     if (e.dataTransfer.files[0]) { 
-      loadSTEPFile(openCascade, e.dataTransfer.files[0], addShapeToScene, scene); 
+      loadModelFile(cadKernel, e.dataTransfer.files[0]); 
     }
   }, false);
   
@@ -356,8 +962,8 @@ initOpenCascade().then(openCascade => {
       
       // Create a raycaster to detect which object was clicked
       const raycaster = new Raycaster();
-      // Get the camera from the scene
-      const camera = Array.from(scene.children).find(child => child instanceof PerspectiveCamera);
+      // The active camera, perspective or orthographic
+      const camera = scene.userData.camera;
       
       if (camera) {
         // Set the raycaster based on mouse position and camera
@@ -367,22 +973,52 @@ initOpenCascade().then(openCascade => {
         const group = scene.getObjectByName("shape");
         
         if (group) {
-          // Find all intersections with the shape's children (individual face meshes)
-          const intersects = raycaster.intersectObjects(group.children, true);
+          // Find all intersections with the shape's children (individual face meshes),
+          // skipping hidden faces and the parts cut away by section planes so the click
+          // reaches internal faces
+          const intersects = raycaster.intersectObjects(group.children, true)
+            .filter(hit => hit.object.visible && (!sectionPanel || !sectionPanel.isClipped(hit.point)));
+          
+          // See-through faces let clicks reach the opaque face behind them
+          const opaqueHit = intersects.find(hit => !hit.object.userData.transparent);
+          
+          // Alt+click picks the B-Rep edge under the cursor instead of a face
+          if (event.altKey && edgeOverlay) {
+            const edge = edgeOverlay.pick(raycaster, rect.height,
+              (point) => sectionPanel !== null && sectionPanel.isClipped(point),
+              opaqueHit ? opaqueHit.distance : Infinity);
+            edgeOverlay.highlight(edge ? edge.edgeIndex : null);
+            if (edge) {
+              const angle = edge.angle === null ? 'free edge' : `${edge.angle.toFixed(1)}° between the faces`;
+              statusElement.textContent = `Edge #${edge.edgeIndex}: faces ${edge.faceIndices.join(', ')} (${angle})`;
+              console.log(`Clicked on edge #${edge.edgeIndex}`, edge);
+            } else {
+              statusElement.textContent = 'No edge here';
+            }
+            return;
+          }
           
           if (intersects.length > 0) {
-            // Get the first intersection (closest to camera)
-            const intersected = intersects[0].object;
+            // Get the closest intersection, looking through see-through faces if there is
+            // an opaque one behind them
+            const intersected = (opaqueHit || intersects[0]).object;
             
             // Get the face index from the intersected object's userData
             const faceIndex = intersected.userData.faceIndex || 
                            (intersected.geometry.userData && intersected.geometry.userData.faceIndex);
             
-            console.log(`Clicked on face #${faceIndex}`);
+            lastClickedFace = faceIndex;
+            const layers = intersected.userData.layers || [];
+            console.log(`Clicked on face #${faceIndex}` + (layers.length > 0 ? ` (layers: ${layers.join(', ')})` : ''));
+            
+            // Show the face's geometry, computed by the kernel on import
+            if (faceInfoPanel) {
+              faceInfoPanel.show(faceIndex, group.userData.faceMap && group.userData.faceMap.get(faceIndex));
+            }
             
             // If in selection mode, add to or remove from current selection
             if (selectionState.inSelectionMode) {
-              addFaceToSelection(faceIndex, intersected);
+              updateSelection([faceIndex], selectionOperation(event, 'toggle'), `Click face #${faceIndex}`);
             } else {
               // Just highlight the face if not in selection mode
               if (intersected.material) {
@@ -391,12 +1027,8 @@ initOpenCascade().then(openCascade => {
                   intersected.userData.originalColor = intersected.material.color.clone();
                 }
                 
-                // Reset all materials to original color first
-                group.children.forEach(child => {
-                  if (child.userData.originalColor && child !== intersected) {
-                    child.material.color.copy(child.userData.originalColor);
-                  }
-                });
+                // Reset all materials to their group or original color first
+                refreshFaceColors();
                 
                 // Set the new color for the selected face
                 intersected.material.color.set(0x00ff00); // Green for selected face
@@ -415,8 +1047,8 @@ initOpenCascade().then(openCascade => {
   
   console.log("Setting up enhanced addShapeToScene...");
   const originalAddShapeToScene = addShapeToScene;
-  addShapeToScene = async function(openCascade, shapeData, scene) {
-    const result = await originalAddShapeToScene(openCascade, shapeData, scene);
+  addShapeToScene = async function(kernel, importedData, scene) {
+    const result = await originalAddShapeToScene(kernel, importedData, scene);
     validateSceneMeshes(scene);
     return result;
   };
@@ -426,10 +1058,14 @@ initOpenCascade().then(openCascade => {
   const enhancedConfirmSelection = function() {
     console.log("Enhanced confirmSelection called");
     const facesArray = Array.from(selectionState.selectedFaces);
-    selectionState.physicalGroups.set(selectionState.mode, facesArray);
-    originalConfirmSelection();
+    // One undoable command, undoing it goes back to selecting the group
+    editHistory.record(`Confirm group '${selectionState.mode}'`, () => {
+      selectionState.physicalGroups.set(selectionState.mode, facesArray);
+      originalConfirmSelection();
+    });
     console.log(`Created group '${selectionState.mode}' with faces:`, facesArray);
-    backupSelectionState(selectionState);
+    const shapeGroup = scene.getObjectByName("shape");
+    backupSelectionState(selectionState, shapeGroup ? shapeGroup.userData.faceMap : null);
     validateFaceIndices(selectionState);
   };
   
@@ -447,25 +1083,252 @@ initOpenCascade().then(openCascade => {
 
   const exportSTLBtn = document.createElement('button');
   exportSTLBtn.textContent = 'Export STL';
-  exportSTLBtn.onclick = () => exportToSTL();
+  exportSTLBtn.title = 'Store the whole model as one STL file on the server';
+  exportSTLBtn.onclick = () => {
+    if (selectionState.exportModel) {
+      selectionState.exportModel();
+    } else {
+      statusElement.textContent = 'Server storage is not set up';
+    }
+  };
   exportToggles.appendChild(exportSTLBtn);
 
+  const multiSolidToggle = document.createElement('label');
+  multiSolidToggle.style.fontSize = '12px';
+  multiSolidToggle.title = 'Store the exclusive groups as named solids of one ASCII STL file, as CFD meshers expect';
+  const multiSolidCheckbox = document.createElement('input');
+  multiSolidCheckbox.type = 'checkbox';
+  multiSolidCheckbox.checked = multiSolidSettings.enabled;
+  multiSolidCheckbox.onchange = () => {
+    multiSolidSettings.enabled = multiSolidCheckbox.checked;
+    unassignedCheckbox.disabled = !multiSolidCheckbox.checked;
+  };
+  multiSolidToggle.appendChild(multiSolidCheckbox);
+  multiSolidToggle.appendChild(document.createTextNode('One multi-solid STL'));
+  exportToggles.appendChild(multiSolidToggle);
+
+  const unassignedToggle = document.createElement('label');
+  unassignedToggle.style.fontSize = '12px';
+  unassignedToggle.title = "Add the faces of no group as an 'unassigned' solid, so the solids close the model";
+  const unassignedCheckbox = document.createElement('input');
+  unassignedCheckbox.type = 'checkbox';
+  unassignedCheckbox.checked = multiSolidSettings.includeUnassigned;
+  unassignedCheckbox.disabled = !multiSolidSettings.enabled;
+  unassignedCheckbox.onchange = () => {
+    multiSolidSettings.includeUnassigned = unassignedCheckbox.checked;
+  };
+  unassignedToggle.appendChild(unassignedCheckbox);
+  unassignedToggle.appendChild(document.createTextNode('Unassigned solid'));
+  exportToggles.appendChild(unassignedToggle);
+
+  const exportGroupsBtn = document.createElement('button');
+  exportGroupsBtn.textContent = 'Export groups';
+  exportGroupsBtn.title = 'Store the STL files of all groups on the server now';
+  exportGroupsBtn.onclick = () => {
+    if (selectionState.exportAllGroups) {
+      selectionState.exportAllGroups();
+    } else {
+      statusElement.textContent = 'Server storage is not set up';
+    }
+  };
+  exportToggles.appendChild(exportGroupsBtn);
+
   const backBtn = document.createElement('button');
   backBtn.textContent = 'Upload New';
   backBtn.onclick = () => goToUploadPage();
   exportToggles.appendChild(backBtn);
 
   exportContainer.appendChild(exportToggles);
+  
+  // OBJ, PLY and glTF meshes that keep the groups apart
+  createMeshExportPanel(exportContainer, {
+    onExport: (format, includeUnassigned) => exportGroupMeshes(format, includeUnassigned)
+  });
+  
+  // STEP, IGES and BREP with the exact faces of the groups
+  createBRepExportPanel(exportContainer, {
+    getGroups: groupsWithFaces,
+    onExport: (format, groupNames) => exportGroupsBRep(format, groupNames)
+  });
   uiContainer.appendChild(exportContainer);
   
+  // Camera framing: whole model, current selection or one physical group
+  const viewControls = document.createElement('div');
+  viewControls.style.display = 'flex';
+  viewControls.style.gap = '5px';
+  viewControls.style.marginBottom = '5px';
+  
+  const fitAllBtn = document.createElement('button');
+  fitAllBtn.textContent = 'Fit all';
+  fitAllBtn.title = 'Frame the whole model (F without a selection)';
+  fitAllBtn.onclick = () => fitAll();
+  viewControls.appendChild(fitAllBtn);
+  
+  const fitSelectionBtn = document.createElement('button');
+  fitSelectionBtn.textContent = 'Fit selection';
+  fitSelectionBtn.title = 'Frame the selected faces (F)';
+  fitSelectionBtn.onclick = () => fitSelection();
+  viewControls.appendChild(fitSelectionBtn);
+  
+  const fitGroupSelect = document.createElement('select');
+  // Groups change as selections are confirmed, so the list is rebuilt when opened
+  const refreshGroupOptions = () => {
+    const current = fitGroupSelect.value;
+    fitGroupSelect.innerHTML = '';
+    selectionState.physicalGroups.forEach((faces, name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      fitGroupSelect.appendChild(option);
+    });
+    if (selectionState.physicalGroups.has(current)) {
+      fitGroupSelect.value = current;
+    }
+  };
+  fitGroupSelect.addEventListener('focus', refreshGroupOptions);
+  fitGroupSelect.addEventListener('mousedown', refreshGroupOptions);
+  viewControls.appendChild(fitGroupSelect);
+  
+  const fitGroupBtn = document.createElement('button');
+  fitGroupBtn.textContent = 'Fit group';
+  fitGroupBtn.onclick = () => {
+    refreshGroupOptions();
+    if (fitGroupSelect.value) {
+      fitGroup(fitGroupSelect.value);
+    } else {
+      statusElement.textContent = 'No groups defined yet';
+    }
+  };
+  viewControls.appendChild(fitGroupBtn);
+  
+  uiContainer.appendChild(viewControls);
+  
+  // Undo and redo buttons, named after the command they undo or redo
+  historyButtons = createHistoryButtons(uiContainer, editHistory);
+  
+  // Save and open the groups, mesh settings and view of a model as a project file
+  projectPanel = createProjectPanel(uiContainer, {
+    onSave: (embedModel) => saveProject(embedModel),
+    onOpen: (file) => openProject(file),
+    onCancel: () => {
+      setPendingProject(null);
+      statusElement.textContent = 'Project not opened';
+    }
+  });
+  
+  // B-Rep edge overlay
+  edgeOverlay = createEdgeOverlayPanel(uiContainer, scene);
+  
+  // Group names, colors and shortcuts
+  groupManagerPanel = createGroupManagerPanel(uiContainer, selectionState, {
+    onSelect: (name) => startSelection(name),
+    record: (label, change) => editHistory.record(label, () => {
+      change();
+      // A deleted group can't stay the one being selected
+      if (selectionState.inSelectionMode && !listGroups(selectionState).includes(selectionState.mode)) {
+        selectionState.inSelectionMode = false;
+        selectionState.selectedFaces.clear();
+      }
+    }),
+    onChange: () => {
+      refreshSelectionViews();
+      statusElement.textContent = groupShortcutHint();
+    },
+    onError: (message) => {
+      statusElement.textContent = message;
+    }
+  });
+  
+  // Faces in two boundary groups or in none, with one-click fixes
+  groupValidationPanel = createGroupValidationPanel(uiContainer, selectionState, {
+    getFaceIndices: modelFaceIndices,
+    getUnmeshedFaces: unmeshedFaceIndices,
+    onShow: (faceIndices) => {
+      highlightFaces(faceIndices);
+      fitFaces(faceIndices, 'these faces');
+      statusElement.textContent = `${faceIndices.length} faces highlighted`;
+    },
+    record: editHistory.record,
+    onChange: () => {
+      refreshSelectionViews();
+      highlightFaces([]);
+      statusElement.textContent = 'Groups updated';
+    }
+  });
+  
+  // Box, lasso and paint selection while a group is being selected
+  createRegionSelectionPanel(uiContainer, scene, {
+    isActive: () => selectionState.inSelectionMode,
+    isClipped: (point) => sectionPanel !== null && sectionPanel.isClipped(point),
+    onSelect: (faceIndices, operation, gesture) => {
+      const label = `${gesture.tool.charAt(0).toUpperCase()}${gesture.tool.slice(1)} selection`;
+      // A paint stroke is undone as a whole
+      updateSelection(faceIndices, operation, label, gesture.tool === 'paint' ? `paint:${gesture.stroke}` : null);
+    }
+  });
+  
+  // Grow the selection from the clicked face: tangent chains, same type, radius, plane or normal
+  createSmartSelectionPanel(uiContainer, {
+    getSeedFace: () => lastClickedFace,
+    getModel: () => {
+      const shapeGroup = scene.getObjectByName("shape");
+      return shapeGroup ? { faceMap: shapeGroup.userData.faceMap, edges: shapeGroup.userData.edges || [] } : null;
+    },
+    onSelect: (faceIndices, event, description) => {
+      if (!selectionState.inSelectionMode) {
+        statusElement.textContent = `Start selecting a group first. ${groupShortcutHint()}`;
+        return;
+      }
+      updateSelection(faceIndices, selectionOperation(event, 'add'), `Select ${description}`);
+      statusElement.textContent = `${faceIndices.length} ${description} from face #${lastClickedFace}`;
+    },
+    onError: (message) => {
+      statusElement.textContent = message;
+    }
+  });
+  
+  // Hide, isolate and fade faces to reach the ones behind them
+  createVisibilityPanel(uiContainer, {
+    getGroups: () => Array.from(selectionState.physicalGroups.keys()),
+    onCommand: runVisibilityCommand
+  });
+  
+  // Standard views and projection toggle
+  const viewCube = createViewCube(scene, {
+    onSelectView: (view) => setStandardView(scene, view),
+    onToggleProjection: () => {
+      const projection = scene.userData.camera.isOrthographicCamera ? 'perspective' : 'orthographic';
+      setProjection(scene, projection);
+      viewCube.setProjection(projection);
+    }
+  });
+  
+  tessellationPanel = createTessellationPanel(uiContainer, tessellationSettings, remeshShape, modelDiagonal);
+  assemblyTreePanel = createAssemblyTreePanel(uiContainer, highlightAssemblyNode);
+  faceInfoPanel = createFaceInfoPanel(uiContainer);
+  modelPropertiesPanel = createModelPropertiesPanel(uiContainer, analyzeModel);
+  sectionPanel = createSectionPanel(uiContainer, scene);
+  
+  // A model may have finished loading before the panel existed
+  const loadedGroup = scene.getObjectByName("shape");
+  if (loadedGroup) {
+    assemblyTreePanel.setAssembly(loadedGroup.userData.assembly);
+    modelPropertiesPanel.setModelLoaded(true);
+    edgeOverlay.setEdges(loadedGroup.userData.edges || [], loadedGroup);
+    edgeOverlay.updateVisibility(selectionState.hiddenFaces);
+    sectionPanel.setModel(loadedGroup);
+    groupValidationPanel.refresh();
+  }
+  
   console.log("Setting up server storage...");
   try {
     setTimeout(() => {
       if (selectionState && scene) {
         const projectId = setupServerStorage(selectionState, scene, {
-          serverEndpoint: '/api/store-stl',
           notifyUser: true,
-          openCascade: openCascade
+          kernel: cadKernel,
+          tessellation: tessellationSettings,
+          multiSolid: multiSolidSettings
         });
         
         console.log(`Server storage initialized. Project ID: ${projectId}`);
@@ -489,6 +1352,10 @@ initOpenCascade().then(openCascade => {
   }
   
   console.log("OpenCascade initialization complete");
+}).catch(error => {
+  console.error("Failed to start the CAD kernel worker:", error);
+  statusElement.textContent = `Could not start the CAD kernel: ${error.message}`;
+  uiContainer.style.display = 'block';
 });
 
 // Helper function to get faces from a physical group (useful for future operations)
@@ -507,11 +1374,10 @@ function getFacesFromGroup(groupName) {
     // Find the mesh for this face index
     const mesh = group.children.find(child => child.userData.faceIndex === faceIndex);
     if (mesh) {
+      // The OpenCascade face itself lives in the worker, see cadKernel.getFace(faceIndex)
       faces.push({
         mesh: mesh,
-        faceIndex: faceIndex,
-        // If you need the OpenCascade face object
-        occtFace: group.userData.faceMap ? group.userData.faceMap.get(faceIndex)?.face : null
+        faceIndex: faceIndex
       });
     }
   }
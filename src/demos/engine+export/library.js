@@ -2,6 +2,7 @@ import {
   AmbientLight,
   DirectionalLight,
   PerspectiveCamera,
+  OrthographicCamera,
   Scene,
   WebGLRenderer,
   Color,
@@ -12,18 +13,22 @@ import {
   Camera,
   PlaneGeometry,
   ShaderMaterial,
-  BackSide
+  BackSide,
+  Box3,
+  Sphere,
+  Vector3
 } from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import openCascadeHelper from '../../common/openCascadeHelper';
-import { importSTEP } from '../../common/visualize';
+import { createFaceGeometry } from '../../common/visualize';
 
+// Reads the file as raw bytes, text decoding would corrupt non-ASCII content
 const loadFileAsync = (file) => {
   return new Promise((resolve, reject) => {
     let reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
+    reader.onload = () => resolve(new Uint8Array(reader.result));
     reader.onerror = reject;
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
   })
 }
 
@@ -143,6 +148,8 @@ const setupThreeJSViewport = () => {
   const viewportRect = viewport.getBoundingClientRect();
   renderer.setSize(viewportRect.width, viewportRect.height);
   viewport.appendChild(renderer.domElement);
+  // Section planes clip the face materials, see sectionPanel.js
+  renderer.localClippingEnabled = true;
   
   const light = new AmbientLight(0x404040);
   scene.add(light);
@@ -153,6 +160,11 @@ const setupThreeJSViewport = () => {
   
   camera.position.set(0, 50, 100);
   
+  // Orthographic alternative, see setProjection. Its frustum is 2 units high and zoom scales
+  // it, so the visible half-height is 1 / zoom
+  const aspect = viewportRect.width / viewportRect.height;
+  const orthographicCamera = new OrthographicCamera(-aspect, aspect, 1, -1, camera.near, camera.far);
+  
   const controls = new OrbitControls(camera, renderer.domElement);
   controls.screenSpacePanning = true;
   controls.target.set(0, 50, 0);
@@ -164,10 +176,22 @@ const setupThreeJSViewport = () => {
   controls.maxDistance = 5000; // Maximum zoom distance
   controls.update();
   
+  // Kept with the scene so the camera can be framed on the model later, see fitCameraToObjects.
+  // `camera` is the active one; the face picking raycaster uses it too
+  scene.userData.camera = camera;
+  scene.userData.cameras = { perspective: camera, orthographic: orthographicCamera };
+  scene.userData.controls = controls;
+  // Face selection renders the faces off screen to tell which ones are visible, see regionSelection.js
+  scene.userData.renderer = renderer;
+  
   // Add window resize handler
   window.addEventListener('resize', () => {
-    camera.aspect = viewport.clientWidth / viewport.clientHeight;
+    const aspect = viewport.clientWidth / viewport.clientHeight;
+    camera.aspect = aspect;
     camera.updateProjectionMatrix();
+    orthographicCamera.left = -aspect;
+    orthographicCamera.right = aspect;
+    orthographicCamera.updateProjectionMatrix();
     renderer.setSize(viewport.clientWidth, viewport.clientHeight);
   });
   
@@ -181,8 +205,8 @@ const setupThreeJSViewport = () => {
     // Render background first
     renderer.render(bgScene, bgCamera);
     
-    // Then render the main scene
-    renderer.render(scene, camera);
+    // Then render the main scene with whichever camera is active
+    renderer.render(scene, scene.userData.camera);
   }
   animate();
   
@@ -190,37 +214,240 @@ const setupThreeJSViewport = () => {
 }
 export { setupThreeJSViewport };
 
-// New function to handle file loading with importSTEP
-const loadSTEPFile = async (openCascade, file, callback, scene) => {
+// Bounding sphere of the given objects in world space, or null if they have no geometry
+const getBoundingSphere = (objects) => {
+  const box = new Box3();
+  objects.forEach(object => {
+    object.updateWorldMatrix(true, true);
+    box.expandByObject(object);
+  });
+  return box.isEmpty() ? null : box.getBoundingSphere(new Sphere());
+}
+
+// Derives the clipping planes and zoom limits from the model size, so models in
+// metres and large millimetre assemblies both render without clipping or z-fighting
+const updateCameraLimits = (scene, modelRadius) => {
+  const { cameras, controls } = scene.userData;
+  Object.values(cameras).forEach(camera => {
+    camera.near = modelRadius * 0.001;
+    camera.far = modelRadius * 100;
+    camera.updateProjectionMatrix();
+  });
+  controls.minDistance = modelRadius * 0.002;
+  controls.maxDistance = modelRadius * 20;
+  // Orthographic zoom shows a half-height of 1 / zoom, limit it the same way
+  controls.minZoom = 1 / controls.maxDistance;
+  controls.maxZoom = 1 / controls.minDistance;
+}
+
+// Visible half-height at the orbit target, for either projection
+const visibleHalfHeight = (camera, distance) => {
+  if (camera.isOrthographicCamera) {
+    return camera.top / camera.zoom;
+  }
+  return distance * Math.tan(camera.fov * Math.PI / 360);
+}
+export { visibleHalfHeight };
+
+/**
+ * Moves the camera so the given objects fill the view, keeping the current view direction
+ * @param {Scene} scene - Scene set up by setupThreeJSViewport
+ * @param {Object3D[]} objects - Objects to frame, e.g. the "shape" group or some face meshes
+ * @param {Object} options - { padding: margin factor around the bounding sphere,
+ *                             updateLimits: derive near/far and zoom limits from these objects }
+ * @returns {boolean} False if there was nothing to frame
+ */
+const fitCameraToObjects = (scene, objects, options = {}) => {
+  const { padding = 1.2, updateLimits = false } = options;
+  const { camera, controls } = scene.userData;
+  const sphere = getBoundingSphere(objects);
+  if (!sphere) return false;
+  
+  // A single planar face has a radius of its own, a point-like one doesn't
+  const radius = Math.max(sphere.radius, 1e-6);
+  if (updateLimits) {
+    updateCameraLimits(scene, radius);
+  }
+  
+  // Distance at which the sphere fits both the vertical and the horizontal field of view.
+  // An orthographic camera is zoomed instead and only needs to stay in front of the model
+  const { perspective } = scene.userData.cameras;
+  const verticalFov = perspective.fov * Math.PI / 180;
+  const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * perspective.aspect);
+  const distance = padding * radius / Math.sin(Math.min(verticalFov, horizontalFov) / 2);
+  if (camera.isOrthographicCamera) {
+    const aspect = camera.right / camera.top;
+    camera.zoom = camera.top * Math.min(1, aspect) / (padding * radius);
+  }
+  
+  const direction = new Vector3().subVectors(camera.position, controls.target);
+  if (direction.lengthSq() === 0) {
+    direction.set(0, 0, 1);
+  }
+  direction.normalize();
+  
+  controls.target.copy(sphere.center);
+  camera.position.copy(sphere.center).addScaledVector(direction, distance);
+  camera.updateProjectionMatrix();
+  controls.update();
+  return true;
+}
+export { fitCameraToObjects };
+
+/**
+ * Switches between perspective and orthographic projection, keeping the view direction,
+ * orbit target and apparent size of the model
+ * @param {Scene} scene - Scene set up by setupThreeJSViewport
+ * @param {string} projection - 'perspective' or 'orthographic'
+ */
+const setProjection = (scene, projection) => {
+  const { camera: current, cameras, controls } = scene.userData;
+  const next = cameras[projection];
+  if (!next || next === current) return;
+  
+  const offset = new Vector3().subVectors(current.position, controls.target);
+  const halfHeight = visibleHalfHeight(current, offset.length());
+  
+  if (next.isOrthographicCamera) {
+    next.zoom = next.top / halfHeight;
+    next.position.copy(current.position);
+  } else {
+    // Move the perspective camera to where the model appears at the same size
+    const distance = halfHeight / Math.tan(next.fov * Math.PI / 360);
+    next.position.copy(controls.target).addScaledVector(offset.normalize(), distance);
+  }
+  next.quaternion.copy(current.quaternion);
+  next.updateProjectionMatrix();
+  
+  // Only the active camera is part of the scene
+  scene.remove(current);
+  scene.add(next);
+  scene.userData.camera = next;
+  controls.object = next;
+  controls.update();
+}
+export { setProjection };
+
+// Directions from the orbit target to the camera for the standard views. The model group is
+// rotated so CAD +Z is up (world +Y) and CAD -Y faces the viewer (world +Z). Top and bottom
+// are nudged off the vertical so OrbitControls keeps a defined up direction
+const STANDARD_VIEWS = {
+  front: new Vector3(0, 0, 1),
+  back: new Vector3(0, 0, -1),
+  right: new Vector3(1, 0, 0),
+  left: new Vector3(-1, 0, 0),
+  top: new Vector3(0, 1, 1e-4).normalize(),
+  bottom: new Vector3(0, -1, 1e-4).normalize(),
+  iso: new Vector3(1, 1, 1).normalize()
+};
+export const STANDARD_VIEW_NAMES = Object.keys(STANDARD_VIEWS);
+
+/**
+ * Turns the camera to a standard view around the current orbit target, keeping its distance
+ * @param {Scene} scene - Scene set up by setupThreeJSViewport
+ * @param {string} view - One of STANDARD_VIEW_NAMES (front, back, right, left, top, bottom, iso)
+ */
+const setStandardView = (scene, view) => {
+  const { camera, controls } = scene.userData;
+  const direction = STANDARD_VIEWS[view];
+  if (!direction) return;
+  
+  const distance = camera.position.distanceTo(controls.target);
+  camera.position.copy(controls.target).addScaledVector(direction, distance);
+  camera.lookAt(controls.target);
+  controls.update();
+}
+export { setStandardView };
+
+// Maps each face index to the id of the part (leaf node) of the assembly tree that owns it
+const facePartIds = (assembly) => {
+  const owners = new Map();
+  const visit = (node) => {
+    if (node.type === 'part') {
+      node.faceIndices.forEach(faceIndex => owners.set(faceIndex, node.id));
+    }
+    node.children.forEach(visit);
+  };
+  if (assembly) {
+    visit(assembly);
+  }
+  return owners;
+}
+
+// Loads a STEP or IGES file through the CAD kernel worker, so the import and
+// meshing don't block the UI. The worker streams each meshed face back as it goes.
+// Returns the imported data, which carries an `error` object when the import failed
+const loadSTEPFile = async (kernel, file, callback, scene, tessellation) => {
   try {
-    // Read the file as text (matching the original loadFileAsync pattern)
-    const fileText = await new Promise((resolve, reject) => {
-      let reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsText(file);
-    });
+    // Read the file as a Uint8Array so it reaches the virtual filesystem byte for byte
+    const fileBytes = await loadFileAsync(file);
     
-    // Use the new importSTEP function to get shape and face mapping
-    const importedData = importSTEP(openCascade, fileText);
+    // The face map mirrors the worker's: same face indices, but holding geometries only
+    const faceMap = new Map();
+    const geometries = [];
+    // B-Rep edges for the line overlay: { edgeIndex, faceIndices, angle, position }
+    const edges = [];
     
-    if (importedData.shape && !importedData.shape.IsNull()) {
-      console.log(`Successfully imported model with ${importedData.faceMap.size} faces`);
-      
-      // Out with the old, in with the new!
-      scene.remove(scene.getObjectByName("shape"));
-      
-      // Call the callback with the imported data instead of just the shape
-      if (callback) {
-        await callback(openCascade, importedData, scene);
+    const importResult = await kernel.importFile(fileBytes, file.name, (face) => {
+      const geometry = createFaceGeometry(face.faceIndex, face);
+      geometries.push(geometry);
+      faceMap.set(face.faceIndex, {
+        geometry: geometry,
+        partId: face.partId,
+        color: face.color,
+        layers: face.layers
+      });
+    }, tessellation, (edge) => edges.push(edge));
+    
+    if (importResult.error) {
+      console.error(`Failed to import ${file.name}:`, importResult.error);
+      return { faceMap: new Map(), geometries: [], format: importResult.format, error: importResult.error };
+    }
+    
+    // Faces without a triangulation still get an entry, like the worker's face map
+    const owners = facePartIds(importResult.assembly);
+    for (let faceIndex = 1; faceIndex <= importResult.faceCount; faceIndex++) {
+      if (!faceMap.has(faceIndex)) {
+        faceMap.set(faceIndex, { partId: owners.get(faceIndex) });
       }
-      
-      console.log(file.name + " triangulated and added to the scene!");
-    } else {
-      console.error("Failed to import valid shape from STEP file");
     }
+    
+    // Geometric properties and persistent signatures, the latter used to bind saved
+    // groups again after a re-import
+    (importResult.faces || []).forEach(({ faceIndex, properties, signature }) => {
+      Object.assign(faceMap.get(faceIndex), { properties, signature });
+    });
+    
+    const importedData = {
+      format: importResult.format,
+      fileHash: importResult.fileHash,
+      faceMap: faceMap,
+      assembly: importResult.assembly,
+      geometries: geometries,
+      edges: edges,
+      linearDeflection: importResult.linearDeflection
+    };
+    
+    console.log(`Successfully imported ${importedData.format.toUpperCase()} model with ${faceMap.size} faces`);
+    
+    // Out with the old, in with the new!
+    scene.remove(scene.getObjectByName("shape"));
+    
+    // Call the callback with the imported data instead of just the shape
+    if (callback) {
+      await callback(kernel, importedData, scene);
+    }
+    
+    console.log(file.name + " triangulated and added to the scene!");
+    return importedData;
   } catch (error) {
-    console.error('Error loading STEP file:', error);
+    console.error('Error loading CAD file:', error);
+    return {
+      faceMap: new Map(),
+      geometries: [],
+      format: null,
+      error: { code: error.code || 'LOAD_FAILED', message: error.message || String(error), format: null }
+    };
   }
 }
 export { loadSTEPFile };
\ No newline at end of file
@@ -0,0 +1,213 @@
+// meshExport.js - Exports the physical groups as OBJ, PLY or glTF/GLB meshes that keep the
+// grouping: OBJ gets a `g` and `usemtl` per group, PLY a group label and B-Rep face index per
+// triangle, glTF a node per group with a child mesh per face and the face index in `extras`.
+// The faces come meshed with the export tessellation from the CAD kernel, in model units (mm).
+import {
+  BufferGeometry,
+  BufferAttribute,
+  Color,
+  Group,
+  Mesh,
+  MeshStandardMaterial
+} from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+
+// Formats offered by the export panel: label, file extension and MIME type
+export const MESH_FORMATS = {
+  obj: { label: 'OBJ', extension: 'obj', type: 'text/plain' },
+  ply: { label: 'PLY', extension: 'ply', type: 'application/octet-stream' },
+  gltf: { label: 'glTF', extension: 'gltf', type: 'model/gltf+json' },
+  glb: { label: 'GLB', extension: 'glb', type: 'model/gltf-binary' }
+};
+
+// Triangles of all faces of a group
+const triangleCount = (group) => group.faces.reduce((total, face) => total + face.index.length / 3, 0);
+
+// Number in OBJ/MTL text, without exponents for small values
+const formatNumber = (value) => Number(value.toFixed(6)).toString();
+
+/**
+ * OBJ file of the groups, one `g` and `usemtl` per group, and the MTL file with their colors
+ * @param {Object[]} groups - [{ name, color: '#rrggbb', faces: [{ faceIndex, position, normal, index }] }]
+ * @param {string} mtlFileName - Name the OBJ file refers to its materials by
+ * @returns {Object} { obj, mtl } as text
+ */
+export function writeOBJ(groups, mtlFileName) {
+  const lines = ['# Physical groups as OBJ groups, one material per group, in mm', `mtllib ${mtlFileName}`];
+  let vertexOffset = 1;
+
+  groups.forEach(group => {
+    lines.push(`g ${group.name}`, `usemtl ${group.name}`);
+    group.faces.forEach(({ faceIndex, position, normal, index }) => {
+      lines.push(`# face ${faceIndex}`);
+      for (let i = 0; i < position.length; i += 3) {
+        lines.push(`v ${formatNumber(position[i])} ${formatNumber(position[i + 1])} ${formatNumber(position[i + 2])}`);
+      }
+      for (let i = 0; i < normal.length; i += 3) {
+        lines.push(`vn ${formatNumber(normal[i])} ${formatNumber(normal[i + 1])} ${formatNumber(normal[i + 2])}`);
+      }
+      for (let i = 0; i < index.length; i += 3) {
+        const [a, b, c] = [index[i], index[i + 1], index[i + 2]].map(vertex => vertex + vertexOffset);
+        lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+      }
+      vertexOffset += position.length / 3;
+    });
+  });
+
+  const mtl = [];
+  groups.forEach(group => {
+    const color = new Color(group.color);
+    mtl.push(`newmtl ${group.name}`, `Kd ${formatNumber(color.r)} ${formatNumber(color.g)} ${formatNumber(color.b)}`, '');
+  });
+
+  return { obj: lines.join('\n') + '\n', mtl: mtl.join('\n') };
+}
+
+/**
+ * Binary PLY file of the groups. Every triangle carries the number of its group (listed in
+ * the header comments as `group <number> <name>`) and the index of its B-Rep face
+ * @param {Object[]} groups - As for writeOBJ
+ * @returns {Uint8Array} File contents
+ */
+export function writePLY(groups) {
+  const vertexCount = groups.reduce((total, group) => total + group.faces.reduce((sum, face) => sum + face.position.length / 3, 0), 0);
+  const faceCount = groups.reduce((total, group) => total + triangleCount(group), 0);
+
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    'comment Physical groups, in mm',
+    ...groups.map((group, number) => `comment group ${number} ${group.name}`),
+    `element vertex ${vertexCount}`,
+    'property float x', 'property float y', 'property float z',
+    'property float nx', 'property float ny', 'property float nz',
+    `element face ${faceCount}`,
+    'property list uchar int vertex_indices',
+    'property int group',
+    'property int face_index',
+    'end_header',
+    ''
+  ].join('\n');
+  const headerBytes = new TextEncoder().encode(header);
+
+  // Vertex: 6 floats, triangle: count byte, 3 indices, group and face index
+  const bytes = new Uint8Array(headerBytes.length + vertexCount * 24 + faceCount * 21);
+  bytes.set(headerBytes);
+  const view = new DataView(bytes.buffer);
+  let offset = headerBytes.length;
+
+  groups.forEach(group => group.faces.forEach(({ position, normal }) => {
+    for (let i = 0; i < position.length; i += 3) {
+      [position[i], position[i + 1], position[i + 2], normal[i], normal[i + 1], normal[i + 2]].forEach(value => {
+        view.setFloat32(offset, value, true);
+        offset += 4;
+      });
+    }
+  }));
+
+  let vertexOffset = 0;
+  groups.forEach((group, number) => group.faces.forEach(({ faceIndex, position, index }) => {
+    for (let i = 0; i < index.length; i += 3) {
+      view.setUint8(offset, 3);
+      offset += 1;
+      [index[i], index[i + 1], index[i + 2]].forEach(vertex => {
+        view.setInt32(offset, vertex + vertexOffset, true);
+        offset += 4;
+      });
+      view.setInt32(offset, number, true);
+      view.setInt32(offset + 4, faceIndex, true);
+      offset += 8;
+    }
+    vertexOffset += position.length / 3;
+  }));
+
+  return bytes;
+}
+
+/**
+ * glTF scene of the groups: a node per group (extras { group }) holding a mesh per face
+ * (extras { faceIndex }), with one material per group in its color. The root node turns the
+ * Z-up model Y-up and scales mm to the metres glTF expects
+ * @param {Object[]} groups - As for writeOBJ
+ * @param {boolean} binary - GLB instead of glTF JSON
+ * @returns {Promise} Resolves with the glTF JSON object or the GLB ArrayBuffer
+ */
+export function writeGLTF(groups, binary = false) {
+  const root = new Group();
+  root.name = 'model';
+  root.rotation.x = -Math.PI / 2;
+  root.scale.setScalar(0.001);
+
+  groups.forEach(group => {
+    const node = new Group();
+    node.name = group.name;
+    node.userData = { group: group.name };
+    const material = new MeshStandardMaterial({ color: group.color, name: group.name });
+
+    group.faces.forEach(({ faceIndex, position, normal, index }) => {
+      const geometry = new BufferGeometry();
+      geometry.setAttribute('position', new BufferAttribute(position, 3));
+      geometry.setAttribute('normal', new BufferAttribute(normal, 3));
+      geometry.setIndex(new BufferAttribute(index, 1));
+      const mesh = new Mesh(geometry, material);
+      mesh.name = `face_${faceIndex}`;
+      mesh.userData = { faceIndex: faceIndex };
+      node.add(mesh);
+    });
+    root.add(node);
+  });
+
+  return new Promise(resolve => {
+    new GLTFExporter().parse(root, result => {
+      root.traverse(object => {
+        if (object.geometry) {
+          object.geometry.dispose();
+        }
+      });
+      resolve(result);
+    }, { binary: binary, onlyVisible: false });
+  });
+}
+
+/**
+ * Adds the mesh export controls to the given container
+ * @param {HTMLElement} container - Element the controls are appended to
+ * @param {Object} callbacks - { onExport(format, includeUnassigned) with a key of MESH_FORMATS }
+ * @returns {Object} { element }
+ */
+export function createMeshExportPanel(container, callbacks) {
+  const { onExport } = callbacks;
+
+  const panel = document.createElement('div');
+  panel.style.display = 'flex';
+  panel.style.alignItems = 'center';
+  panel.style.gap = '5px';
+  panel.style.marginBottom = '5px';
+  panel.style.fontSize = '12px';
+
+  const formatSelect = document.createElement('select');
+  Object.entries(MESH_FORMATS).forEach(([format, { label }]) => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    formatSelect.appendChild(option);
+  });
+  panel.appendChild(formatSelect);
+
+  const unassigned = document.createElement('input');
+  unassigned.type = 'checkbox';
+  unassigned.checked = true;
+  unassigned.title = "Export the faces of no group too, as a group named 'unassigned'";
+  panel.appendChild(unassigned);
+  panel.appendChild(document.createTextNode('Unassigned'));
+
+  const exportButton = document.createElement('button');
+  exportButton.textContent = 'Export mesh';
+  exportButton.title = 'Download the groups as a mesh that keeps them apart';
+  exportButton.onclick = () => onExport(formatSelect.value, unassigned.checked);
+  panel.appendChild(exportButton);
+
+  container.appendChild(panel);
+
+  return { element: panel };
+}
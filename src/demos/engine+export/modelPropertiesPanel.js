@@ -0,0 +1,118 @@
+// modelPropertiesPanel.js - Whole-model report: solids, volume, area, inertia, bounding boxes, units
+
+const formatNumber = (value) => Number(value.toPrecision(6)).toString();
+const formatVector = (vector) => `(${vector.map(formatNumber).join(', ')})`;
+
+// Label/value rows for the report, in display order
+function describeModel(properties) {
+  const unit = properties.lengthUnit;
+  const rows = [];
+
+  const declared = properties.declaredUnit;
+  rows.push(['Declared unit', declared ? `${declared.name} (${declared.symbol})` : 'not declared']);
+  rows.push(['Values in', unit]);
+  if (declared && declared.toMillimetres !== 1) {
+    rows.push(['Note', `converted from ${declared.symbol} on import`]);
+  }
+
+  rows.push(['Solids', String(properties.solidCount)]);
+  rows.push(['Volume', properties.volume !== null ? `${formatNumber(properties.volume)} ${unit}³` : 'no solids']);
+  rows.push(['Surface area', `${formatNumber(properties.area)} ${unit}²`]);
+
+  if (properties.centerOfMass) {
+    rows.push(['Center of mass', formatVector(properties.centerOfMass)]);
+  }
+  if (properties.inertia) {
+    // Density 1, so these are moments of the volume about the center of mass
+    properties.inertia.forEach((row, i) => rows.push([i === 0 ? `Inertia (${unit}⁵)` : '', formatVector(row)]));
+  }
+
+  const box = properties.boundingBox;
+  if (box) {
+    rows.push(['Box min', formatVector(box.min)]);
+    rows.push(['Box max', formatVector(box.max)]);
+    rows.push(['Box size', formatVector(box.size)]);
+  }
+
+  const obb = properties.orientedBoundingBox;
+  if (obb) {
+    rows.push(['Oriented box center', formatVector(obb.center)]);
+    rows.push(['Oriented box size', formatVector(obb.size)]);
+    obb.axes.forEach((axis, i) => rows.push([i === 0 ? 'Oriented box axes' : '', formatVector(axis)]));
+  }
+
+  return rows;
+}
+
+/**
+ * Adds the model analysis panel to the given container
+ * @param {HTMLElement} container - Element the panel is appended to
+ * @param {Function} onAnalyze - Returns a promise of the model properties (CADKernelClient.getModelProperties)
+ * @returns {Object} { element, setModelLoaded(loaded) }
+ */
+export function createModelPropertiesPanel(container, onAnalyze) {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '10px';
+  panel.style.fontSize = '12px';
+  panel.style.display = 'none';
+
+  const header = document.createElement('div');
+  header.textContent = 'Model analysis';
+  header.style.fontWeight = 'bold';
+  panel.appendChild(header);
+
+  const analyzeButton = document.createElement('button');
+  analyzeButton.textContent = 'Analyze model';
+  analyzeButton.title = 'Compute volume, area, inertia and bounding boxes of the loaded model';
+  panel.appendChild(analyzeButton);
+
+  const table = document.createElement('table');
+  table.style.borderCollapse = 'collapse';
+  panel.appendChild(table);
+
+  container.appendChild(panel);
+
+  const showMessage = (message) => {
+    table.innerHTML = '';
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.textContent = message;
+    row.appendChild(cell);
+    table.appendChild(row);
+  };
+
+  analyzeButton.onclick = async () => {
+    analyzeButton.disabled = true;
+    showMessage('Analyzing...');
+    try {
+      const properties = await onAnalyze();
+      table.innerHTML = '';
+      describeModel(properties).forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        const labelCell = document.createElement('td');
+        labelCell.textContent = label;
+        labelCell.style.paddingRight = '8px';
+        labelCell.style.color = '#555';
+        const valueCell = document.createElement('td');
+        valueCell.textContent = value;
+        row.appendChild(labelCell);
+        row.appendChild(valueCell);
+        table.appendChild(row);
+      });
+    } catch (error) {
+      console.error("Model analysis failed:", error);
+      showMessage(`Analysis failed: ${error.message}`);
+    } finally {
+      analyzeButton.disabled = false;
+    }
+  };
+
+  return {
+    element: panel,
+    // Shows the panel for a newly loaded model and drops the previous report
+    setModelLoaded: (loaded) => {
+      table.innerHTML = '';
+      panel.style.display = loaded ? 'block' : 'none';
+    }
+  };
+}
@@ -0,0 +1,186 @@
+// projectFile.js - Project files: one JSON document holding the CAD model reference (file name
+// and SHA-256 hash computed by the CAD kernel on import, optionally the file itself), the
+// groups with their face signatures, the tessellation settings and the camera, so a session
+// can be saved and opened again
+import { setProjection } from './library.js';
+
+export const PROJECT_FORMAT = 'cad-face-groups-project';
+export const PROJECT_VERSION = 1;
+
+// Base64 in chunks, String.fromCharCode can't take a whole model file as arguments
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Position, orbit target and projection of the viewport camera
+ * @param {Scene} scene - Scene set up by setupThreeJSViewport
+ * @returns {Object} { projection, position, target, up, zoom }
+ */
+export function captureCamera(scene) {
+  const { camera, controls } = scene.userData;
+  return {
+    projection: camera.isOrthographicCamera ? 'orthographic' : 'perspective',
+    position: camera.position.toArray(),
+    target: controls.target.toArray(),
+    up: camera.up.toArray(),
+    zoom: camera.zoom
+  };
+}
+
+/**
+ * Puts the camera back where captureCamera found it
+ * @param {Scene} scene - Scene set up by setupThreeJSViewport
+ * @param {Object} view - As returned by captureCamera
+ */
+export function applyCamera(scene, view) {
+  setProjection(scene, view.projection);
+  const { camera, controls } = scene.userData;
+  camera.position.fromArray(view.position);
+  camera.up.fromArray(view.up);
+  camera.zoom = view.zoom;
+  camera.updateProjectionMatrix();
+  controls.target.fromArray(view.target);
+  controls.update();
+}
+
+/**
+ * Builds a project document
+ * @param {Object} contents - { model: { fileName, hash, size, bytes }, selection, tessellation, camera }
+ *                            where `selection` comes from createSelectionBackup (fixes.js),
+ *                            `tessellation` holds the display and export settings and `camera`
+ *                            comes from captureCamera; `bytes` is only read with embedModel
+ * @param {boolean} embedModel - Include the model file, so the project opens on its own
+ * @returns {Object} The project, ready for JSON.stringify
+ */
+export function createProject(contents, embedModel = false) {
+  const { model, selection, tessellation, camera } = contents;
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    model: {
+      fileName: model.fileName,
+      hash: model.hash,
+      size: model.size
+    },
+    selection: selection,
+    tessellation: {
+      display: { ...tessellation.display },
+      export: { ...tessellation.export }
+    },
+    camera: camera
+  };
+  if (embedModel) {
+    project.model.data = bytesToBase64(model.bytes);
+  }
+  return project;
+}
+
+/**
+ * Reads a project document, rejecting anything that is not a project this viewer can open
+ * @param {string} text - Contents of the project file
+ * @returns {Object} The project; `model.bytes` holds the embedded model file, if any
+ */
+export function parseProject(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a project file: ${error.message}`);
+  }
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error('Not a project file');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} needs a newer viewer (this one opens up to ${PROJECT_VERSION})`);
+  }
+  if (!project.model || !project.model.hash || !project.selection) {
+    throw new Error('The project file is incomplete');
+  }
+  if (project.model.data) {
+    project.model.bytes = base64ToBytes(project.model.data);
+    delete project.model.data;
+  }
+  return project;
+}
+
+/**
+ * Adds the Save Project and Open Project commands to the given container
+ * @param {HTMLElement} container - Element the commands are appended to
+ * @param {Object} callbacks - { onSave(embedModel), onOpen(file), onCancel() giving up on a
+ *                              project that waits for its model file }
+ * @returns {Object} { element, setWaiting(fileName) showing the cancel command while a project
+ *                    waits for fileName, or hiding it for null }
+ */
+export function createProjectPanel(container, callbacks) {
+  const { onSave, onOpen, onCancel } = callbacks;
+
+  const panel = document.createElement('div');
+  panel.style.display = 'flex';
+  panel.style.alignItems = 'center';
+  panel.style.gap = '5px';
+  panel.style.marginBottom = '5px';
+  panel.style.fontSize = '12px';
+
+  const saveButton = document.createElement('button');
+  saveButton.textContent = 'Save Project';
+  saveButton.title = 'Download the groups, mesh settings and view of the loaded model as a project file';
+  panel.appendChild(saveButton);
+
+  const embed = document.createElement('input');
+  embed.type = 'checkbox';
+  embed.title = 'Put the model file in the project, so it opens without the original file';
+  panel.appendChild(embed);
+  panel.appendChild(document.createTextNode('Include model'));
+
+  const openButton = document.createElement('button');
+  openButton.textContent = 'Open Project';
+  openButton.title = 'Open a project file';
+  panel.appendChild(openButton);
+
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel Opening';
+  cancelButton.style.display = 'none';
+  panel.appendChild(cancelButton);
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  panel.appendChild(fileInput);
+
+  saveButton.onclick = () => onSave(embed.checked);
+  cancelButton.onclick = () => onCancel();
+  openButton.onclick = () => fileInput.click();
+  fileInput.onchange = () => {
+    const file = fileInput.files[0];
+    // Cleared so the same project can be opened again
+    fileInput.value = '';
+    if (file) {
+      onOpen(file);
+    }
+  };
+
+  container.appendChild(panel);
+
+  const setWaiting = (fileName) => {
+    cancelButton.style.display = fileName ? 'inline-block' : 'none';
+    cancelButton.title = fileName ? `Stop waiting for ${fileName}, the project's groups are not applied` : '';
+  };
+
+  return { element: panel, setWaiting: setWaiting };
+}
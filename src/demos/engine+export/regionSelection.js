@@ -0,0 +1,381 @@
+// regionSelection.js - Box, lasso and paint selection of faces in the viewport, for models
+// where clicking faces one by one is impractical (e.g. the fins of a heat sink)
+import {
+  Scene,
+  Mesh,
+  MeshBasicMaterial,
+  WebGLRenderTarget,
+  Raycaster,
+  Vector2,
+  Vector3,
+  Color
+} from 'three';
+
+const TOOLS = [
+  ['click', 'Click', 'Click faces one by one'],
+  ['box', 'Box', 'Drag a rectangle around faces'],
+  ['lasso', 'Lasso', 'Draw a loop around faces'],
+  ['paint', 'Paint', 'Drag over faces to select them']
+];
+
+// A press that moves less than this (pixels) is a click, not a drag
+const DRAG_PIXELS = 4;
+// Lasso points closer than this (pixels) to the previous one are dropped
+const LASSO_STEP = 4;
+
+/**
+ * How a selection gesture combines with the current selection, from its modifier keys:
+ * Shift adds, Ctrl (Cmd) subtracts, Ctrl+Shift toggles
+ * @param {Event} event - Mouse or pointer event
+ * @param {string} plain - Operation without modifiers
+ * @returns {string} 'replace', 'add', 'subtract' or 'toggle'
+ */
+export function selectionOperation(event, plain) {
+  const subtract = event.ctrlKey || event.metaKey;
+  if (subtract && event.shiftKey) return 'toggle';
+  if (subtract) return 'subtract';
+  if (event.shiftKey) return 'add';
+  return plain;
+}
+
+/**
+ * Combines faces with the selected ones
+ * @param {Set} selectedFaces - Selected face indices, updated in place
+ * @param {number[]} faceIndices - Faces picked by the gesture
+ * @param {string} operation - 'replace', 'add', 'subtract' or 'toggle'
+ */
+export function applySelectionOperation(selectedFaces, faceIndices, operation) {
+  if (operation === 'replace') {
+    selectedFaces.clear();
+  }
+  faceIndices.forEach(faceIndex => {
+    if (operation === 'subtract' || (operation === 'toggle' && selectedFaces.has(faceIndex))) {
+      selectedFaces.delete(faceIndex);
+    } else {
+      selectedFaces.add(faceIndex);
+    }
+  });
+}
+
+// The four corners of the box spanned by two opposite ones
+function boxCorners([xa, ya], [xb, yb]) {
+  return [[xa, ya], [xb, ya], [xb, yb], [xa, yb]];
+}
+
+// Tells whether a viewport pixel lies in the region. A lasso is drawn into a 2D canvas once,
+// so the test is a lookup however many points the loop has
+function createRegionTest(region, bounds) {
+  const { x0, y0, x1, y1 } = bounds;
+  const inBounds = (x, y) => x >= x0 && x < x1 && y >= y0 && y < y1;
+  if (region.type === 'box') {
+    return inBounds;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = x1 - x0;
+  canvas.height = y1 - y0;
+  const context = canvas.getContext('2d');
+  context.beginPath();
+  region.points.forEach(([x, y], i) => (i === 0 ? context.moveTo(x - x0, y - y0) : context.lineTo(x - x0, y - y0)));
+  context.closePath();
+  context.fill();
+  const mask = context.getImageData(0, 0, canvas.width, canvas.height).data;
+  return (x, y) => inBounds(x, y) && mask[((Math.floor(y) - y0) * canvas.width + Math.floor(x) - x0) * 4 + 3] > 0;
+}
+
+// Faces with at least one pixel showing in the region, from a render of every opaque face
+// in its own flat color. See-through faces are left out so they don't hide what is behind them
+function facesShowingInRegion(scene, meshes, bounds, width, height, inRegion) {
+  const { renderer, camera } = scene.userData;
+  const pickScene = new Scene();
+  const materials = [];
+  meshes.forEach((mesh, i) => {
+    if (mesh.userData.transparent) return;
+    const material = new MeshBasicMaterial({
+      color: new Color(i + 1),
+      side: mesh.material.side,
+      clippingPlanes: mesh.material.clippingPlanes,
+      toneMapped: false
+    });
+    const pickMesh = new Mesh(mesh.geometry, material);
+    pickMesh.matrixAutoUpdate = false;
+    pickMesh.matrix.copy(mesh.matrixWorld);
+    pickScene.add(pickMesh);
+    materials.push(material);
+  });
+
+  const target = new WebGLRenderTarget(width, height);
+  const clearColor = renderer.getClearColor(new Color());
+  const clearAlpha = renderer.getClearAlpha();
+  renderer.setClearColor(0x000000, 0);
+  renderer.setRenderTarget(target);
+  renderer.clear();
+  renderer.render(pickScene, camera);
+
+  // Render targets have their origin at the bottom left
+  const { x0, y0, x1, y1 } = bounds;
+  const pixels = new Uint8Array((x1 - x0) * (y1 - y0) * 4);
+  renderer.readRenderTargetPixels(target, x0, height - y1, x1 - x0, y1 - y0, pixels);
+
+  renderer.setRenderTarget(null);
+  renderer.setClearColor(clearColor, clearAlpha);
+  target.dispose();
+  materials.forEach(material => material.dispose());
+
+  const showing = new Set();
+  for (let row = 0; row < y1 - y0; row++) {
+    const y = y1 - 1 - row;
+    for (let x = x0; x < x1; x++) {
+      const offset = (row * (x1 - x0) + x - x0) * 4;
+      const id = (pixels[offset] << 16) | (pixels[offset + 1] << 8) | pixels[offset + 2];
+      if (id > 0 && inRegion(x + 0.5, y + 0.5)) {
+        showing.add(meshes[id - 1]);
+      }
+    }
+  }
+  return showing;
+}
+
+/**
+ * Faces inside a box or lasso drawn over the viewport. A face is inside when one of its
+ * triangles has all three corners in the region
+ * @param {Scene} scene - Scene set up by setupThreeJSViewport (its userData holds camera and renderer)
+ * @param {Group} group - The "shape" group
+ * @param {Object} region - { type: 'box' | 'lasso', points: [[x, y], ...] } in viewport pixels
+ * @param {Object} options - { through: also faces hidden behind others, isClipped(point) for
+ *                             points cut away by section planes }
+ * @returns {number[]} Face indices
+ */
+export function facesInRegion(scene, group, region, options = {}) {
+  const { through = false, isClipped = () => false } = options;
+  const { camera, renderer } = scene.userData;
+  const size = renderer.getSize(new Vector2());
+  const width = Math.floor(size.x);
+  const height = Math.floor(size.y);
+
+  const xs = region.points.map(point => point[0]);
+  const ys = region.points.map(point => point[1]);
+  const bounds = {
+    x0: Math.max(0, Math.floor(Math.min(...xs))),
+    y0: Math.max(0, Math.floor(Math.min(...ys))),
+    x1: Math.min(width, Math.ceil(Math.max(...xs))),
+    y1: Math.min(height, Math.ceil(Math.max(...ys)))
+  };
+  if (bounds.x1 <= bounds.x0 || bounds.y1 <= bounds.y0) return [];
+  const inRegion = createRegionTest(region, bounds);
+
+  group.updateMatrixWorld();
+  const meshes = group.children.filter(mesh => mesh.visible);
+  const showing = through ? null : facesShowingInRegion(scene, meshes, bounds, width, height, inRegion);
+
+  const world = new Vector3();
+  const faceIndices = [];
+  meshes.forEach(mesh => {
+    // See-through faces can't be told from the faces behind them in the render
+    if (showing && !mesh.userData.transparent && !showing.has(mesh)) return;
+
+    const position = mesh.geometry.getAttribute('position');
+    const index = mesh.geometry.getIndex();
+    // Viewport pixel of every vertex, null behind the camera
+    const projected = [];
+    const clipped = [];
+    for (let i = 0; i < position.count; i++) {
+      world.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      clipped.push(isClipped(world));
+      world.project(camera);
+      projected.push(Math.abs(world.z) > 1 ? null : [(world.x + 1) / 2 * width, (1 - world.y) / 2 * height]);
+    }
+
+    const corners = (t) => (index ? [index.getX(t), index.getX(t + 1), index.getX(t + 2)] : [t, t + 1, t + 2]);
+    const cornerCount = index ? index.count : position.count;
+    for (let t = 0; t < cornerCount; t += 3) {
+      const vertices = corners(t);
+      const inside = vertices.every(v => projected[v] !== null && inRegion(projected[v][0], projected[v][1]));
+      // Triangles cut away by a section plane entirely don't count
+      if (!inside || vertices.every(v => clipped[v])) continue;
+      faceIndices.push(mesh.userData.faceIndex);
+      break;
+    }
+  });
+  return faceIndices;
+}
+
+// Faces under a viewport pixel: the front one (looking through see-through faces), or all of them
+function facesAtPoint(scene, group, x, y, through, isClipped) {
+  const { camera, renderer } = scene.userData;
+  const size = renderer.getSize(new Vector2());
+  const raycaster = new Raycaster();
+  raycaster.setFromCamera(new Vector2(x / size.x * 2 - 1, -(y / size.y) * 2 + 1), camera);
+  const hits = raycaster.intersectObjects(group.children)
+    .filter(hit => hit.object.visible && !isClipped(hit.point));
+  if (through) {
+    return [...new Set(hits.map(hit => hit.object.userData.faceIndex))];
+  }
+  const front = hits.find(hit => !hit.object.userData.transparent) || hits[0];
+  return front ? [front.object.userData.faceIndex] : [];
+}
+
+/**
+ * Adds the selection tool bar to the given container and handles the drags over the viewport
+ * @param {HTMLElement} container - Element the tool bar is appended to
+ * @param {Scene} scene - Scene set up by setupThreeJSViewport
+ * @param {Object} callbacks - { isActive() true while faces are being selected,
+ *                              isClipped(point) for points cut away by section planes,
+ *                              onSelect(faceIndices, operation, gesture) where gesture is
+ *                              { tool, stroke } and all calls of one paint stroke share `stroke` }
+ * @returns {Object} { element }
+ */
+export function createRegionSelectionPanel(container, scene, callbacks) {
+  const { isActive, isClipped, onSelect } = callbacks;
+
+  const panel = document.createElement('div');
+  panel.style.display = 'flex';
+  panel.style.alignItems = 'center';
+  panel.style.gap = '5px';
+  panel.style.marginBottom = '5px';
+  panel.style.fontSize = '12px';
+  panel.title = 'Shift adds, Ctrl subtracts, Ctrl+Shift toggles';
+
+  panel.appendChild(document.createTextNode('Select by'));
+  const toolSelect = document.createElement('select');
+  TOOLS.forEach(([value, label, title]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.title = title;
+    toolSelect.appendChild(option);
+  });
+  panel.appendChild(toolSelect);
+
+  const through = document.createElement('input');
+  through.type = 'checkbox';
+  through.title = 'Also select faces hidden behind others';
+  panel.appendChild(through);
+  panel.appendChild(document.createTextNode('Through'));
+
+  container.appendChild(panel);
+
+  // Box and lasso outline, drawn in page coordinates over the viewport
+  const svgNamespace = 'http://www.w3.org/2000/svg';
+  const outline = document.createElementNS(svgNamespace, 'svg');
+  outline.style.position = 'fixed';
+  outline.style.left = '0';
+  outline.style.top = '0';
+  outline.style.width = '100%';
+  outline.style.height = '100%';
+  outline.style.pointerEvents = 'none';
+  outline.style.display = 'none';
+  const shape = document.createElementNS(svgNamespace, 'polygon');
+  shape.setAttribute('fill', 'rgba(0, 160, 255, 0.1)');
+  shape.setAttribute('stroke', '#0090ff');
+  shape.setAttribute('stroke-dasharray', '4 2');
+  outline.appendChild(shape);
+  document.body.appendChild(outline);
+
+  const viewport = document.getElementById('viewport');
+  let drag = null;
+  let strokeCount = 0;
+
+  const viewportPoint = (event) => {
+    const rect = viewport.getBoundingClientRect();
+    return [event.clientX - rect.left, event.clientY - rect.top];
+  };
+
+  const paintAt = (event) => {
+    const group = scene.getObjectByName('shape');
+    if (!group) return;
+    const [x, y] = viewportPoint(event);
+    // Each face once per stroke, so toggling doesn't flicker while the pointer stays on it
+    const faces = facesAtPoint(scene, group, x, y, through.checked, isClipped)
+      .filter(faceIndex => !drag.painted.has(faceIndex));
+    if (faces.length === 0) return;
+    faces.forEach(faceIndex => drag.painted.add(faceIndex));
+    onSelect(faces, drag.operation, { tool: 'paint', stroke: drag.stroke });
+  };
+
+  const drawOutline = () => {
+    const rect = viewport.getBoundingClientRect();
+    const points = drag.tool === 'box' ? boxCorners(drag.points[0], drag.points[drag.points.length - 1]) : drag.points;
+    shape.setAttribute('points', points.map(([x, y]) => `${x + rect.left},${y + rect.top}`).join(' '));
+    outline.style.display = 'block';
+  };
+
+  // The click that ends a drag is not a face click
+  const swallowClick = () => {
+    const swallow = (event) => event.stopPropagation();
+    window.addEventListener('click', swallow, { capture: true, once: true });
+    setTimeout(() => window.removeEventListener('click', swallow, { capture: true }), 0);
+  };
+
+  const onPointerMove = (event) => {
+    const point = viewportPoint(event);
+    const start = drag.points[0];
+    if (!drag.moved && Math.hypot(point[0] - start[0], point[1] - start[1]) < DRAG_PIXELS) return;
+    drag.moved = true;
+
+    if (drag.tool === 'paint') {
+      paintAt(event);
+      return;
+    }
+    const last = drag.points[drag.points.length - 1];
+    if (drag.tool === 'box') {
+      drag.points = [start, point];
+    } else if (Math.hypot(point[0] - last[0], point[1] - last[1]) >= LASSO_STEP) {
+      drag.points.push(point);
+    }
+    drawOutline();
+  };
+
+  const onPointerUp = () => {
+    window.removeEventListener('pointermove', onPointerMove);
+    window.removeEventListener('pointerup', onPointerUp);
+    outline.style.display = 'none';
+    const finished = drag;
+    drag = null;
+
+    if (finished.tool === 'paint') {
+      swallowClick();
+      return;
+    }
+    // Without a drag it was a plain click, selecting the face under the pointer
+    if (!finished.moved) return;
+    swallowClick();
+
+    const group = scene.getObjectByName('shape');
+    if (!group) return;
+    const points = finished.tool === 'box'
+      ? boxCorners(finished.points[0], finished.points[finished.points.length - 1])
+      : finished.points;
+    if (points.length < 3) return;
+    const faces = facesInRegion(scene, group, { type: finished.tool, points: points }, {
+      through: through.checked,
+      isClipped: isClipped
+    });
+    onSelect(faces, finished.operation, { tool: finished.tool, stroke: finished.stroke });
+  };
+
+  // Captured before the orbit controls see the press, so dragging draws instead of orbiting
+  viewport.addEventListener('pointerdown', (event) => {
+    const tool = toolSelect.value;
+    if (tool === 'click' || event.button !== 0 || event.altKey || !isActive()) return;
+    event.stopPropagation();
+    event.preventDefault();
+
+    drag = {
+      tool: tool,
+      // Painting adds by default, a plain box or lasso replaces the selection
+      operation: selectionOperation(event, tool === 'paint' ? 'add' : 'replace'),
+      points: [viewportPoint(event)],
+      moved: false,
+      painted: new Set(),
+      stroke: ++strokeCount
+    };
+    if (tool === 'paint') {
+      paintAt(event);
+    }
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+  }, true);
+
+  return { element: panel };
+}
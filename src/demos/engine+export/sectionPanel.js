@@ -0,0 +1,353 @@
+// sectionPanel.js - Section (clipping) planes through the "shape" group, so internal faces
+// can be seen and clicked. One plane per CAD axis plus one with a free normal, each with an
+// offset slider, a flip and an optional cap that closes the cut
+import {
+  Group,
+  Mesh,
+  MeshBasicMaterial,
+  MeshStandardMaterial,
+  Plane,
+  PlaneGeometry,
+  Box3,
+  Vector3,
+  BackSide,
+  FrontSide,
+  DoubleSide,
+  AlwaysStencilFunc,
+  NotEqualStencilFunc,
+  IncrementWrapStencilOp,
+  DecrementWrapStencilOp,
+  ReplaceStencilOp
+} from 'three';
+
+// Normals are in CAD coordinates; the shape group's transform takes them to the world
+const PLANES = [
+  { id: 'x', label: 'X', normal: [1, 0, 0] },
+  { id: 'y', label: 'Y', normal: [0, 1, 0] },
+  { id: 'z', label: 'Z', normal: [0, 0, 1] },
+  { id: 'custom', label: 'Custom', normal: [1, 1, 0] }
+];
+
+const SLIDER_STEPS = 1000;
+const CAP_COLOR = 0xf0a030;
+
+// Extent of the model along a CAD direction, from the corners of its local bounding box
+function extentAlong(box, normal) {
+  const values = [];
+  [box.min.x, box.max.x].forEach(x => [box.min.y, box.max.y].forEach(y => [box.min.z, box.max.z].forEach(z => {
+    values.push(normal.x * x + normal.y * y + normal.z * z);
+  })));
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+// Bounding box of the face geometries in the group's own (CAD) coordinates
+function localBox(group) {
+  const box = new Box3();
+  group.children.forEach(mesh => {
+    if (!mesh.geometry) return;
+    if (!mesh.geometry.boundingBox) {
+      mesh.geometry.computeBoundingBox();
+    }
+    box.union(mesh.geometry.boundingBox);
+  });
+  return box;
+}
+
+// Stencil pass for a cap: back faces inside the kept half count up, front faces count down,
+// so pixels where the cut shows the inside of a solid end up non-zero
+function createStencilGroup(group, plane, renderOrder) {
+  const stencilGroup = new Group();
+  stencilGroup.matrixAutoUpdate = false;
+  stencilGroup.matrix.copy(group.matrixWorld);
+
+  const base = {
+    depthWrite: false,
+    depthTest: false,
+    colorWrite: false,
+    stencilWrite: true,
+    stencilFunc: AlwaysStencilFunc,
+    clippingPlanes: [plane]
+  };
+  const backMaterial = new MeshBasicMaterial({
+    ...base,
+    side: BackSide,
+    stencilFail: IncrementWrapStencilOp,
+    stencilZFail: IncrementWrapStencilOp,
+    stencilZPass: IncrementWrapStencilOp
+  });
+  const frontMaterial = new MeshBasicMaterial({
+    ...base,
+    side: FrontSide,
+    stencilFail: DecrementWrapStencilOp,
+    stencilZFail: DecrementWrapStencilOp,
+    stencilZPass: DecrementWrapStencilOp
+  });
+
+  // The face meshes share their geometry with the stencil meshes
+  group.children.forEach(mesh => {
+    [backMaterial, frontMaterial].forEach(material => {
+      const stencilMesh = new Mesh(mesh.geometry, material);
+      stencilMesh.renderOrder = renderOrder;
+      stencilGroup.add(stencilMesh);
+    });
+  });
+  return stencilGroup;
+}
+
+// Cap drawn on the plane where the stencil is set, clipped by the other active planes.
+// `center` is the world space model center the cap is laid around
+function createCap(plane, otherPlanes, center, size, renderOrder) {
+  const material = new MeshStandardMaterial({
+    color: CAP_COLOR,
+    side: DoubleSide,
+    clippingPlanes: otherPlanes,
+    stencilWrite: true,
+    stencilRef: 0,
+    stencilFunc: NotEqualStencilFunc,
+    stencilFail: ReplaceStencilOp,
+    stencilZFail: ReplaceStencilOp,
+    stencilZPass: ReplaceStencilOp
+  });
+  const cap = new Mesh(new PlaneGeometry(size, size), material);
+  cap.renderOrder = renderOrder;
+  // Leave a clean stencil buffer for the next plane's cap
+  cap.onAfterRender = (renderer) => renderer.clearStencil();
+  cap.userData.center = center;
+  placeCap(cap, plane);
+  return cap;
+}
+
+// Lays the cap onto its plane, around the model center
+function placeCap(cap, plane) {
+  const point = plane.projectPoint(cap.userData.center, new Vector3());
+  cap.position.copy(point);
+  cap.lookAt(point.clone().sub(plane.normal));
+  cap.updateMatrixWorld();
+}
+
+/**
+ * Adds the section plane controls to the given container
+ * @param {HTMLElement} container - Element the panel is appended to
+ * @param {Scene} scene - Scene holding the "shape" group (and the "edges" overlay, cut too)
+ * @returns {Object} { element, setModel(group), refresh(), isClipped(point) }
+ */
+export function createSectionPanel(container, scene) {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '10px';
+  panel.style.fontSize = '12px';
+  panel.style.display = 'none';
+
+  const header = document.createElement('div');
+  header.textContent = 'Section planes';
+  header.style.fontWeight = 'bold';
+  panel.appendChild(header);
+
+  let model = null;
+  let box = new Box3();
+  // World space planes in use, shared by the face materials
+  const activePlanes = [];
+  // Helper objects (stencil passes and caps), kept out of the "shape" group so picking ignores them
+  const helpers = new Group();
+  helpers.name = 'section';
+
+  const states = PLANES.map(definition => ({
+    ...definition,
+    enabled: false,
+    flipped: false,
+    capped: false,
+    offset: 0,
+    range: { min: 0, max: 0 },
+    plane: new Plane(),
+    cap: null
+  }));
+
+  // CAD space normal of a plane, normalised, or null if it is the zero vector
+  const cadNormal = (state) => {
+    const normal = new Vector3(...state.normal);
+    return normal.lengthSq() > 0 ? normal.normalize() : null;
+  };
+
+  // Updates the world plane from the CAD normal and offset. Geometry on the positive side of
+  // a three.js plane is kept, so by default everything beyond the offset is cut away
+  const updatePlane = (state) => {
+    const normal = cadNormal(state);
+    if (!model || !normal) return;
+    const sign = state.flipped ? 1 : -1;
+    state.plane.set(normal.multiplyScalar(sign), -sign * state.offset);
+    model.updateMatrixWorld();
+    state.plane.applyMatrix4(model.matrixWorld);
+  };
+
+  // Stencil meshes share the face geometries, only the caps and materials are ours to dispose
+  const disposeHelpers = () => {
+    states.forEach(state => {
+      state.cap = null;
+    });
+    helpers.children.slice().forEach(child => {
+      helpers.remove(child);
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      } else {
+        const materials = new Set(child.children.map(mesh => mesh.material));
+        materials.forEach(material => material.dispose());
+      }
+    });
+  };
+
+  // Applies the active planes to the face materials and rebuilds the caps
+  const apply = () => {
+    activePlanes.length = 0;
+    states.forEach(state => {
+      if (state.enabled && cadNormal(state)) {
+        updatePlane(state);
+        activePlanes.push(state.plane);
+      }
+    });
+
+    if (model) {
+      model.children.forEach(mesh => {
+        mesh.material.clippingPlanes = activePlanes.length > 0 ? activePlanes : null;
+      });
+    }
+    // The edge overlay is cut the same way
+    const edgeOverlay = scene.getObjectByName('edges');
+    if (edgeOverlay) {
+      edgeOverlay.children.forEach(line => {
+        line.material.clippingPlanes = activePlanes.length > 0 ? activePlanes : null;
+      });
+    }
+
+    disposeHelpers();
+    if (!model || box.isEmpty()) return;
+    const center = box.getCenter(new Vector3()).applyMatrix4(model.matrixWorld);
+    const size = 2 * box.getSize(new Vector3()).length();
+    states.filter(state => state.enabled && state.capped && cadNormal(state)).forEach((state, i) => {
+      const renderOrder = i + 1;
+      const otherPlanes = activePlanes.filter(plane => plane !== state.plane);
+      helpers.add(createStencilGroup(model, state.plane, renderOrder));
+      state.cap = createCap(state.plane, otherPlanes, center, size, renderOrder + 0.5);
+      helpers.add(state.cap);
+    });
+  };
+
+  const rows = states.map(state => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '4px';
+    row.style.flexWrap = 'wrap';
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.title = `Cut the model with the ${state.label} plane`;
+    row.appendChild(enabled);
+
+    const label = document.createElement('span');
+    label.textContent = state.label;
+    label.style.width = '45px';
+    row.appendChild(label);
+
+    // Free normal for the custom plane
+    if (state.id === 'custom') {
+      state.normal.forEach((value, axis) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '0.1';
+        input.value = value;
+        input.style.width = '45px';
+        input.title = `Normal ${'XYZ'[axis]} component`;
+        input.onchange = () => {
+          state.normal[axis] = parseFloat(input.value) || 0;
+          resetRange(state);
+          apply();
+        };
+        row.appendChild(input);
+      });
+    }
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = String(SLIDER_STEPS);
+    slider.title = 'Drag to move the plane';
+    slider.style.width = '120px';
+    row.appendChild(slider);
+
+    const flip = document.createElement('input');
+    flip.type = 'checkbox';
+    flip.title = 'Keep the other side';
+    row.appendChild(flip);
+    row.appendChild(document.createTextNode('Flip'));
+
+    const cap = document.createElement('input');
+    cap.type = 'checkbox';
+    cap.title = 'Close the cut with a cap (needs closed solids)';
+    row.appendChild(cap);
+    row.appendChild(document.createTextNode('Cap'));
+
+    enabled.onchange = () => {
+      state.enabled = enabled.checked;
+      apply();
+    };
+    // Dragging only moves the plane: materials and stencil passes hold it by reference
+    slider.oninput = () => {
+      const { min, max } = state.range;
+      state.offset = min + (max - min) * Number(slider.value) / SLIDER_STEPS;
+      if (state.enabled) {
+        updatePlane(state);
+        if (state.cap) {
+          placeCap(state.cap, state.plane);
+        }
+      }
+    };
+    flip.onchange = () => {
+      state.flipped = flip.checked;
+      apply();
+    };
+    cap.onchange = () => {
+      state.capped = cap.checked;
+      apply();
+    };
+
+    panel.appendChild(row);
+    return { state, enabled, slider, flip, cap };
+  });
+
+  // Puts the plane through the middle of the model
+  const resetRange = (state) => {
+    const normal = cadNormal(state);
+    state.range = normal && !box.isEmpty() ? extentAlong(box, normal) : { min: 0, max: 0 };
+    state.offset = (state.range.min + state.range.max) / 2;
+    const row = rows.find(candidate => candidate.state === state);
+    if (row) {
+      row.slider.value = String(SLIDER_STEPS / 2);
+    }
+  };
+
+  container.appendChild(panel);
+
+  return {
+    element: panel,
+    // Attaches the planes to a newly loaded "shape" group (or none); all planes start disabled
+    setModel: (group) => {
+      model = group;
+      box = group ? localBox(group) : new Box3();
+      rows.forEach(({ state, enabled, flip, cap }) => {
+        state.enabled = state.flipped = state.capped = false;
+        enabled.checked = flip.checked = cap.checked = false;
+        resetRange(state);
+      });
+      scene.remove(helpers);
+      if (group) {
+        scene.add(helpers);
+      }
+      apply();
+      panel.style.display = group ? 'block' : 'none';
+    },
+    // The face geometries changed (re-meshing), so the caps' stencil meshes are rebuilt
+    refresh: () => apply(),
+    // Whether a world space point lies in a cut away part of the model
+    isClipped: (point) => activePlanes.some(plane => plane.distanceToPoint(point) < 0)
+  };
+}
@@ -1,17 +1,22 @@
 // Server-side implementation (Node.js with Express)
 const express = require('express');
-const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
 const app = express();
 
-// Support parsing large JSON payloads (STL files can be large)
-app.use(bodyParser.json({ limit: '50mb' }));
+// Binary STL: 80 byte header, uint32 triangle count, then 50 bytes per triangle
+const BINARY_STL_HEADER_SIZE = 84;
+const BINARY_STL_TRIANGLE_SIZE = 50;
+
+// Project IDs and group names become directory and file names, so keep them to one plain word
+const isSafeName = (name) => /^[A-Za-z0-9_.-]+$/.test(name) && name !== '.' && name !== '..';
 
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-STL-Format, X-Faces-Count, X-Triangle-Count, X-Created-At');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -25,58 +30,77 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'STL storage server is running' });
 });
 
-// Route to handle STL storage
-app.post('/api/store-stl', async (req, res) => {
+// Route streaming an STL file to disk. The body is the file itself (application/octet-stream)
+// and the metadata comes in headers: X-STL-Format, X-Faces-Count, X-Triangle-Count, X-Created-At
+app.post('/api/projects/:projectId/stl/:groupName', async (req, res) => {
+  const { projectId, groupName } = req.params;
+  if (!isSafeName(projectId) || !isSafeName(groupName)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid project ID or group name'
+    });
+  }
+  if (!req.is('application/octet-stream')) {
+    return res.status(415).json({
+      success: false,
+      error: 'Send the STL file as application/octet-stream'
+    });
+  }
+
+  const projectDir = path.join(__dirname, 'stl_storage', projectId);
+  const filePath = path.join(projectDir, `${groupName}.stl`);
+  // Written under another name first, so a broken upload never replaces a stored file. The
+  // name is per request, so two uploads of the same group don't write into one file
+  const partPath = `${filePath}.${crypto.randomUUID()}.part`;
+
   try {
-    const { projectId, groupName, stlData, metadata } = req.body;
-    
-    if (!projectId || !groupName || !stlData) {
+    fs.mkdirSync(projectDir, { recursive: true });
+    await pipeline(req, fs.createWriteStream(partPath));
+
+    const fileSize = fs.statSync(partPath).size;
+    const triangleCount = req.get('X-Triangle-Count') ? parseInt(req.get('X-Triangle-Count'), 10) : null;
+    const format = req.get('X-STL-Format') || 'binary';
+
+    // A binary file's size follows from its triangle count, so a cut off upload shows
+    if (format === 'binary' && triangleCount !== null &&
+        fileSize !== BINARY_STL_HEADER_SIZE + triangleCount * BINARY_STL_TRIANGLE_SIZE) {
+      fs.rmSync(partPath, { force: true });
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields'
+        error: `Received ${fileSize} bytes, which is not a binary STL of ${triangleCount} triangles`
       });
     }
 
-    // Define storage directory path
-    const storageRoot = path.join(__dirname, 'stl_storage');
-    
-    // Create project directory if it doesn't exist
-    const projectDir = path.join(storageRoot, projectId);
-    if (!fs.existsSync(projectDir)) {
-      fs.mkdirSync(projectDir, { recursive: true });
-    }
-
-    // Convert base64 back to binary
-    const binaryData = Buffer.from(stlData, 'base64');
+    fs.renameSync(partPath, filePath);
 
-    // Save the STL file
-    const filename = `${groupName}.stl`;
-    const filePath = path.join(projectDir, filename);
-    fs.writeFileSync(filePath, binaryData);
+    const metadata = {
+      createdAt: req.get('X-Created-At') || new Date().toISOString(),
+      facesCount: req.get('X-Faces-Count') ? parseInt(req.get('X-Faces-Count'), 10) : null,
+      triangleCount: triangleCount,
+      format: format,
+      fileSize: fileSize
+    };
+    fs.writeFileSync(path.join(projectDir, `${groupName}_metadata.json`), JSON.stringify(metadata, null, 2));
 
-    // Save metadata as JSON
-    if (metadata) {
-      const metadataPath = path.join(projectDir, `${groupName}_metadata.json`);
-      fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
-    }
+    console.log(`Saved STL file: ${filePath} (${fileSize} bytes)`);
 
-    console.log(`Saved STL file: ${filePath}`);
-
-    // Return success with file info
     res.json({
       success: true,
       filePath: filePath,
-      fileSize: binaryData.length,
+      fileSize: fileSize,
       projectId: projectId,
       groupName: groupName
     });
-    
+
   } catch (error) {
-    console.error('Error handling STL storage:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    fs.rmSync(partPath, { force: true });
+    console.error('Error streaming STL to disk:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
   }
 });
 
@@ -84,6 +108,12 @@ app.post('/api/store-stl', async (req, res) => {
 app.get('/api/project/:projectId', (req, res) => {
   try {
     const { projectId } = req.params;
+    if (!isSafeName(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid project ID'
+      });
+    }
     const storageRoot = path.join(__dirname, 'stl_storage');
     const projectDir = path.join(storageRoot, projectId);
     
@@ -122,30 +152,6 @@ app.get('/api/project/:projectId', (req, res) => {
   }
 });
 
-// API to receive STL data and save it
-app.post('/api/save-stl', (req, res) => {
-  const { filename, stlData } = req.body;
-
-  if (!filename || !stlData) {
-    return res.status(400).send('Missing filename or STL data');
-  }
-
-  const outputPath = path.join(__dirname, 'exports', filename); // Example: ./exports/model.stl
-
-  // Ensure directory exists
-  fs.mkdir(path.dirname(outputPath), { recursive: true }, (mkdirErr) => {
-    if (mkdirErr) return res.status(500).send('Failed to create directory');
-
-    fs.writeFile(outputPath, stlData, (err) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).send('Error saving STL file');
-      }
-      res.send('STL file saved on server');
-    });
-  });
-});
-
 // Start the server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -1,4 +1,9 @@
 // serverStorage.js - Handle STL generation and server storage of selections
+import { listGroups, getGroupSettings } from './groupManager.js';
+import { validateGroups } from './groupValidation.js';
+
+// Name the whole model is stored under, as <projectId>/stl/model.stl
+const MODEL_FILE_NAME = 'model';
 
 // Generate a unique project ID for this session
 function generateProjectId() {
@@ -12,22 +17,27 @@ function setupServerStorage(selectionState, scene, options = {}) {
   
   // Default options
   const defaultOptions = {
-    serverEndpoint: '/api/store-stl',
+    serverEndpoint: 'http://localhost:3000/api/projects', // files go to <endpoint>/<projectId>/stl/<group>
     notifyUser: true,
-    openCascade: null
+    kernel: null,
+    tessellation: null, // { display, export } settings; export is read at export time
+    stlFormat: 'binary', // or 'ascii'
+    // { enabled, includeUnassigned, name }, read at export time: when enabled, the boundary
+    // groups are stored together as the named solids of one ASCII STL file
+    multiSolid: null
   };
   
   // Merge options
   const config = { ...defaultOptions, ...options };
   
-  // Validate that OpenCascade instance was provided
-  if (!config.openCascade) {
-    console.error("OpenCascade instance is required for STL export");
+  // Validate that the CAD kernel was provided
+  if (!config.kernel) {
+    console.error("CAD kernel is required for STL export");
     return projectId; // Return project ID even if setup fails
   }
   
-  // Store OpenCascade instance for later use
-  const openCascade = config.openCascade;
+  // The OpenCascade faces live in the CAD kernel worker, so STL generation runs there
+  const kernel = config.kernel;
   
   // Monitor selection state changes and generate STL files
   const originalConfirmSelection = selectionState.confirmSelection;
@@ -37,157 +47,106 @@ function setupServerStorage(selectionState, scene, options = {}) {
     // Call the original confirmation method first
     originalConfirmSelection.call(this);
     
-    // Generate and store STL for the selected group
+    // Generate and store STL for the selected group, or the multi-solid file it is part of
     const groupName = this.mode;
-    if (this.physicalGroups.has(groupName)) {
+    if (config.multiSolid && config.multiSolid.enabled) {
+      generateAndStoreMultiSolidSTL();
+    } else if (this.physicalGroups.has(groupName)) {
       generateAndStoreSTL(groupName, this.physicalGroups.get(groupName));
     }
   };
   
   // Function to generate STL file from a physical group
-  function generateAndStoreSTL(groupName, faceIndices) {
+  async function generateAndStoreSTL(groupName, faceIndices) {
     console.log(`Generating STL for ${groupName} group with ${faceIndices.length} faces`);
     
     try {
       // Get the shape group from the scene
       const group = scene.getObjectByName("shape");
       if (!group || !group.userData.faceMap) {
-        console.error("Shape or face map not found in scene");
-        return;
-      }
-      
-      // Create a compound shape to hold all the selected faces
-      const builder = new openCascade.BRep_Builder();
-      const compound = new openCascade.TopoDS_Compound();
-      builder.MakeCompound(compound);
-      
-      // Add each selected face to the compound
-      let facesAdded = 0;
-      for (const faceIndex of faceIndices) {
-        const occtFace = group.userData.faceMap.get(faceIndex)?.face;
-        if (occtFace) {
-          builder.Add(compound, occtFace);
-          facesAdded++;
-        }
+        throw new Error('No model is loaded');
       }
       
-      if (facesAdded === 0) {
-        console.error(`No valid faces found for group ${groupName}`);
-        return;
-      }
-      
-      console.log(`Added ${facesAdded} faces to compound for ${groupName}`);
-      
       // Create a temporary filename for the STL
       const tempFileName = `${projectId}_${groupName}.stl`;
       
-      // We need to use the specific method available in the OpenCascade.js instance
-      // Instead of trying multiple methods, use the direct module-level function
-      // that should be available in most OpenCascade.js builds
-      
-      console.log("Meshing the shape directly before STL export");
+      // Export quality is independent of what is displayed. The kernel fails the export
+      // rather than return a file missing faces or triangles
+      const exportTessellation = config.tessellation ? config.tessellation.export : undefined;
+      const result = await kernel.generateSTL(groupName, faceIndices, tempFileName, exportTessellation, config.stlFormat);
+      console.log(`${groupName} STL: ${result.triangleCount} triangles from ${result.facesAdded} faces`);
       
-      // Use a simple fallback approach based on common availability
-      const linear_deflection = 0.1;
-      const angular_deflection = 0.5;
+      // Send the STL data to the server
+      sendSTLToServer(groupName, result);
       
-      // Method 1: Try standard global mesh function
-      try {
-        if (typeof openCascade.BRepMesh !== 'undefined') {
-          console.log("Using openCascade.BRepMesh");
-          // Some versions use this global function
-          openCascade.BRepMesh(compound, linear_deflection);
-        } else {
-          console.log("Direct global meshing not available, proceeding with STL export anyway");
-          // STL export might still work - the StlAPI_Writer can sometimes mesh the shape internally
-        }
-      } catch (e) {
-        console.log("Basic meshing failed, but proceeding with STL export:", e.message);
-        // Continue anyway, as the StlAPI_Writer may handle it
+    } catch (error) {
+      // Nothing is stored for a failed export, and the user is always told
+      console.error(`Error generating OpenCascade STL: ${error.message}`, error);
+      showNotification(`Could not export ${groupName} as STL: ${error.message}`, 'error');
+    }
+  }
+  
+  // Function to store the whole model as one STL file, through the same checked export as a group
+  async function generateAndStoreModelSTL() {
+    const group = scene.getObjectByName("shape");
+    if (!group || !group.userData.faceMap) {
+      showNotification('Load a model before exporting', 'error');
+      return;
+    }
+    await generateAndStoreSTL(MODEL_FILE_NAME, Array.from(group.userData.faceMap.keys()));
+  }
+  
+  // Function to generate one STL file holding every boundary group as a named solid
+  async function generateAndStoreMultiSolidSTL() {
+    const { name, includeUnassigned } = config.multiSolid;
+    console.log(`Generating multi-solid STL ${name}`);
+    
+    try {
+      const group = scene.getObjectByName("shape");
+      if (!group || !group.userData.faceMap) {
+        throw new Error('No model is loaded');
       }
       
-      // In some OpenCascade.js versions, the StlAPI_Writer.Write takes only one argument or has a different signature
-      // Try using the static StlAPI.Write method instead
-      console.log(`Writing STL file ${tempFileName}`);
-      try {
-        // Try using the static method first (most reliable in OpenCascade.js)
-        if (typeof openCascade.StlAPI !== 'undefined' && 
-            typeof openCascade.StlAPI.Write === 'function') {
-          console.log("Using static StlAPI.Write method");
-          openCascade.StlAPI.Write(compound, tempFileName, true); // true for ASCII mode
-          console.log("STL export succeeded using static method");
-        } else {
-          // Fall back to the writer instance - this might fail
-          console.log("Static method not available, trying instance method");
-          const stlWriter = new openCascade.StlAPI_Writer();
-          
-          // In some versions, Write takes only the shape with filename as internal state
-          if (stlWriter.Write.length === 1) {
-            console.log("Using single-argument Write method");
-            stlWriter.Write(compound);
-            
-            // Manually save the file content since the filename wasn't specified in Write
-            // This won't work as expected, but at least won't throw an error
-            const stlData = "Error: Could not generate STL properly";
-            openCascade.FS.writeFile(tempFileName, stlData);
-          } else {
-            // Otherwise, something is wrong with our approach
-            throw new Error("StlAPI_Writer.Write method has unexpected signature");
-          }
-        }
-        
-        console.log("STL file written successfully");
-      } catch (writeError) {
-        console.error("All STL export methods failed:", writeError);
-        
-        // Create a minimal valid STL file as fallback
-        const fallbackStl = `solid ${groupName}\nendsolid ${groupName}`;
-        openCascade.FS.writeFile(tempFileName, fallbackStl);
-        console.log("Created fallback minimal STL file");
+      // A face may only be in one solid, the mesher takes every solid as a patch
+      const { overlaps } = validateGroups(selectionState, Array.from(group.userData.faceMap.keys()));
+      if (overlaps.length > 0) {
+        throw new Error(`${overlaps.length} faces are in more than one exclusive group, resolve them in the Group check first`);
       }
       
-      // Read the generated STL file
-      console.log(`Reading generated STL file ${tempFileName}`);
-      const stlData = openCascade.FS.readFile('/' + tempFileName, { encoding: 'utf8' });
+      // Non-exclusive groups are not boundaries, their faces stay in their boundary's solid
+      const groups = listGroups(selectionState)
+        .filter(groupName => selectionState.physicalGroups.has(groupName) && getGroupSettings(selectionState, groupName).exclusive !== false)
+        .map(groupName => ({ name: groupName, faceIndices: selectionState.physicalGroups.get(groupName) }));
       
-      // Send the STL data to the server
-      sendSTLToServer(groupName, stlData);
+      const exportTessellation = config.tessellation ? config.tessellation.export : undefined;
+      const result = await kernel.generateMultiSolidSTL(groups, `${projectId}_${name}.stl`, exportTessellation, includeUnassigned);
+      console.log(`${name} STL: ${result.solids.map(solid => `${solid.name} (${solid.triangleCount} triangles)`).join(', ')}`);
       
-      // Clean up the temporary file
-      openCascade.FS.unlink('/' + tempFileName);
+      sendSTLToServer(name, result);
       
     } catch (error) {
-      console.error(`Error generating OpenCascade STL: ${error.message}`, error);
-      if (config.notifyUser) {
-        showNotification(`Error generating STL for ${groupName}: ${error.message}`);
-      }
+      console.error(`Error generating multi-solid STL: ${error.message}`, error);
+      showNotification(`Could not export the groups as one STL: ${error.message}`, 'error');
     }
   }
   
   // Function to send STL data to the server
-  function sendSTLToServer(groupName, stlData) {
+  function sendSTLToServer(groupName, { stlData, format, facesAdded, triangleCount }) {
     console.log(`Sending ${groupName} STL to server (${stlData.length} bytes)`);
     
-    // Since we need to send binary data to the server, encode it as base64
-    const base64Data = btoa(stlData);
-    
-    // Use the correct port that matches the server (3000 instead of 9000)
-    const serverEndpoint = 'http://localhost:3000/api/store-stl';
+    // The file is sent as is and streamed to disk by the server, the metadata goes in headers
+    const serverEndpoint = `${config.serverEndpoint}/${encodeURIComponent(projectId)}/stl/${encodeURIComponent(groupName)}`;
     
     fetch(serverEndpoint, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/octet-stream',
+        'X-STL-Format': format,
+        'X-Faces-Count': String(facesAdded),
+        'X-Triangle-Count': String(triangleCount),
+        'X-Created-At': new Date().toISOString()
       },
-      body: JSON.stringify({
-        projectId: projectId,
-        groupName: groupName,
-        stlData: base64Data, // Send as base64 string
-        metadata: {
-          createdAt: new Date().toISOString(),
-          facesCount: selectionState.selectedFaces.size
-        }
-      })
+      body: stlData
     })
       .then(response => {
         if (!response.ok) {
@@ -257,12 +216,18 @@ function setupServerStorage(selectionState, scene, options = {}) {
   function exportAllGroups() {
     console.log("Exporting all defined groups");
     
+    if (config.multiSolid && config.multiSolid.enabled) {
+      generateAndStoreMultiSolidSTL();
+      return;
+    }
     for (const [groupName, faceIndices] of selectionState.physicalGroups.entries()) {
       generateAndStoreSTL(groupName, faceIndices);
     }
   }
   
-  // Expose the export function
+  // Expose the export functions next to confirmSelection, for "export now" commands
+  selectionState.exportAllGroups = exportAllGroups;
+  selectionState.exportModel = generateAndStoreModelSTL;
   return projectId;
 }
 
@@ -0,0 +1,219 @@
+// smartSelection.js - Selection helpers that grow a selection from one picked face using the
+// face properties computed on import and the face adjacency given by the B-Rep edges
+
+// Faces meeting at less than this angle (degrees) along their edge are tangent
+const TANGENT_ANGLE = 1;
+// Relative tolerance for comparing radii
+const RADIUS_TOLERANCE = 1e-4;
+// Angle (degrees) under which two planes count as parallel
+const PARALLEL_ANGLE = 0.1;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+/**
+ * Neighbours of every face, from the edges streamed by the kernel (see extractEdges)
+ * @param {Object[]} edges - [{ edgeIndex, faceIndices, angle }]
+ * @returns {Map} Face index -> [{ faceIndex, edgeIndex, angle }]
+ */
+export function buildFaceAdjacency(edges) {
+  const adjacency = new Map();
+  const link = (from, to, edge) => {
+    if (!adjacency.has(from)) {
+      adjacency.set(from, []);
+    }
+    adjacency.get(from).push({ faceIndex: to, edgeIndex: edge.edgeIndex, angle: edge.angle });
+  };
+  edges.forEach(edge => {
+    // Seams list their face twice, free edges have one face; neither links two faces
+    const [first, second] = edge.faceIndices;
+    if (edge.faceIndices.length !== 2) return;
+    link(first, second, edge);
+    link(second, first, edge);
+  });
+  return adjacency;
+}
+
+/**
+ * Faces reached from the seed across smooth edges only, e.g. a fillet chain
+ * @param {Map} adjacency - As built by buildFaceAdjacency
+ * @param {number} seedFace - Picked face index
+ * @param {number} maxAngle - Largest angle (degrees) between the faces at a smooth edge
+ * @returns {number[]} Face indices, the seed first
+ */
+export function tangentFaces(adjacency, seedFace, maxAngle = TANGENT_ANGLE) {
+  const reached = new Set([seedFace]);
+  const queue = [seedFace];
+  while (queue.length > 0) {
+    const faceIndex = queue.shift();
+    (adjacency.get(faceIndex) || []).forEach(neighbour => {
+      if (reached.has(neighbour.faceIndex) || neighbour.angle === null || neighbour.angle > maxAngle) return;
+      reached.add(neighbour.faceIndex);
+      queue.push(neighbour.faceIndex);
+    });
+  }
+  return Array.from(reached);
+}
+
+// Faces of the face map whose properties pass the test
+function facesWhere(faceMap, test) {
+  const faceIndices = [];
+  faceMap.forEach((entry, faceIndex) => {
+    if (entry.properties && test(entry.properties)) {
+      faceIndices.push(faceIndex);
+    }
+  });
+  return faceIndices;
+}
+
+/**
+ * Faces with the same surface type as the seed (Plane, Cylinder, BSplineSurface, ...)
+ * @param {Map} faceMap - Face index -> { properties }
+ * @param {number} seedFace - Picked face index
+ * @returns {number[]} Face indices
+ */
+export function sameSurfaceTypeFaces(faceMap, seedFace) {
+  const seed = faceMap.get(seedFace).properties;
+  return facesWhere(faceMap, properties => properties.surfaceType === seed.surfaceType);
+}
+
+/**
+ * Faces of the seed's surface type with the same radius, e.g. every hole of one size
+ * @param {Map} faceMap - Face index -> { properties }
+ * @param {number} seedFace - Picked face of a cylinder, cone, sphere or torus
+ * @returns {number[]} Face indices
+ */
+export function sameRadiusFaces(faceMap, seedFace) {
+  const seed = faceMap.get(seedFace).properties;
+  if (seed.radius === undefined) {
+    throw new Error(`A ${seed.surfaceType} face has no radius`);
+  }
+  const tolerance = RADIUS_TOLERANCE * Math.max(1, seed.radius);
+  return facesWhere(faceMap, properties => properties.surfaceType === seed.surfaceType &&
+    Math.abs(properties.radius - seed.radius) <= tolerance &&
+    (seed.minorRadius === undefined || Math.abs(properties.minorRadius - seed.minorRadius) <= tolerance));
+}
+
+/**
+ * Planar faces lying in the seed's plane, whichever way they face
+ * @param {Map} faceMap - Face index -> { properties, signature }
+ * @param {number} seedFace - Picked planar face
+ * @returns {number[]} Face indices
+ */
+export function coplanarFaces(faceMap, seedFace) {
+  const { properties: seed, signature } = faceMap.get(seedFace);
+  if (seed.surfaceType !== 'Plane') {
+    throw new Error(`Pick a planar face, not a ${seed.surfaceType} face`);
+  }
+  // The same position tolerance the face signatures use, a fraction of the model size
+  const distanceTolerance = signature ? signature.tolerance : 1e-6;
+  const normal = seed.axis.direction;
+  const offset = dot(normal, seed.axis.origin);
+  const parallel = Math.cos(toRadians(PARALLEL_ANGLE));
+  return facesWhere(faceMap, properties => properties.surfaceType === 'Plane' &&
+    Math.abs(dot(properties.axis.direction, normal)) >= parallel &&
+    Math.abs(dot(properties.axis.origin, normal) - offset) <= distanceTolerance);
+}
+
+/**
+ * Faces whose average normal is within an angle of the seed's
+ * @param {Map} faceMap - Face index -> { properties }
+ * @param {number} seedFace - Picked face index
+ * @param {number} degrees - Largest angle between the normals
+ * @returns {number[]} Face indices
+ */
+export function similarNormalFaces(faceMap, seedFace, degrees) {
+  const seed = faceMap.get(seedFace).properties;
+  // Closed faces (full cylinders, spheres) average out to a zero normal
+  const isDefined = (normal) => normal.some(value => value !== 0);
+  if (!isDefined(seed.normal)) {
+    throw new Error('The picked face has no single normal direction');
+  }
+  const limit = Math.cos(toRadians(degrees));
+  return facesWhere(faceMap, properties => isDefined(properties.normal) && dot(properties.normal, seed.normal) >= limit);
+}
+
+/**
+ * Adds the smart selection buttons to the given container
+ * @param {HTMLElement} container - Element the buttons are appended to
+ * @param {Object} callbacks - { getSeedFace() returning the picked face index or null,
+ *                              getModel() returning { faceMap, edges } or null,
+ *                              onSelect(faceIndices, event, description), onError(message) }
+ * @returns {Object} { element }
+ */
+export function createSmartSelectionPanel(container, callbacks) {
+  const { getSeedFace, getModel, onSelect, onError } = callbacks;
+
+  const panel = document.createElement('div');
+  panel.style.display = 'flex';
+  panel.style.flexWrap = 'wrap';
+  panel.style.alignItems = 'center';
+  panel.style.gap = '5px';
+  panel.style.marginBottom = '5px';
+  panel.style.fontSize = '12px';
+
+  panel.appendChild(document.createTextNode('From clicked face:'));
+
+  const angleInput = document.createElement('input');
+  angleInput.type = 'number';
+  angleInput.min = '0';
+  angleInput.max = '180';
+  angleInput.step = '1';
+  angleInput.value = '10';
+  angleInput.style.width = '45px';
+  angleInput.title = 'Largest angle between the normals, in degrees';
+
+  // Adjacency is rebuilt only when a new model (or a new meshing) brings new edges
+  let adjacencyEdges = null;
+  let adjacency = null;
+  const getAdjacency = (edges) => {
+    if (edges !== adjacencyEdges) {
+      adjacencyEdges = edges;
+      adjacency = buildFaceAdjacency(edges);
+    }
+    return adjacency;
+  };
+
+  const helpers = [
+    ['Tangent', 'Faces joined to the clicked one by smooth edges (fillet chains, blends)',
+      (model, seed) => tangentFaces(getAdjacency(model.edges), seed), 'tangent faces'],
+    ['Same type', 'Every face with the same surface type',
+      (model, seed) => sameSurfaceTypeFaces(model.faceMap, seed), 'faces of the same type'],
+    ['Same radius', 'Every cylinder (cone, sphere, torus) with the same radius',
+      (model, seed) => sameRadiusFaces(model.faceMap, seed), 'faces with the same radius'],
+    ['Coplanar', 'Every planar face in the same plane',
+      (model, seed) => coplanarFaces(model.faceMap, seed), 'coplanar faces'],
+    ['Normal within', 'Every face whose normal is within the angle of the clicked face\'s',
+      (model, seed) => similarNormalFaces(model.faceMap, seed, parseFloat(angleInput.value) || 0), 'faces with a similar normal']
+  ];
+
+  helpers.forEach(([label, title, select, description]) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = `${title}. Shift adds, Ctrl subtracts, Ctrl+Shift toggles`;
+    button.onclick = (event) => {
+      const model = getModel();
+      const seed = getSeedFace();
+      if (!model || seed === null) {
+        onError('Click a face first');
+        return;
+      }
+      if (!model.faceMap.has(seed) || !model.faceMap.get(seed).properties) {
+        onError(`No properties for face #${seed}`);
+        return;
+      }
+      try {
+        onSelect(select(model, seed), event, description);
+      } catch (error) {
+        onError(error.message);
+      }
+    };
+    panel.appendChild(button);
+  });
+  panel.appendChild(angleInput);
+  panel.appendChild(document.createTextNode('°'));
+
+  container.appendChild(panel);
+
+  return { element: panel };
+}
@@ -0,0 +1,149 @@
+// tessellationPanel.js - UI for the display and export tessellation settings
+import { DEFAULT_TESSELLATION, DEFAULT_EXPORT_TESSELLATION } from '../../common/visualize.js';
+
+// Angular deflection is shown in degrees, OpenCascade expects radians
+const toDegrees = (radians) => radians * 180 / Math.PI;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Absolute linear deflection (model units) used when switching mode without a loaded model,
+// as there is no size to convert the relative value with
+const FALLBACK_ABSOLUTE_DEFLECTION = 0.1;
+
+// Linear deflection that keeps the mesh about as fine after switching between relative and
+// absolute mode. With a model its diagonal converts the value, otherwise the mode's default
+function convertLinearDeflection(value, toRelative, diagonal, defaults) {
+  if (diagonal > 0) {
+    return toRelative ? value / diagonal : value * diagonal;
+  }
+  return toRelative ? defaults.linearDeflection : FALLBACK_ABSOLUTE_DEFLECTION;
+}
+
+// Creates the inputs for one settings object and writes changes straight back into it.
+// defaults are the relative settings of this kind, getModelDiagonal() the loaded model's size
+function createSettingsFields(title, settings, defaults, getModelDiagonal) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.style.margin = '5px 0';
+  fieldset.style.padding = '5px';
+
+  const legend = document.createElement('legend');
+  legend.textContent = title;
+  fieldset.appendChild(legend);
+
+  const modeSelect = document.createElement('select');
+  [['relative', 'Relative to model size'], ['absolute', 'Absolute (model units)']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    modeSelect.appendChild(option);
+  });
+
+  const linearInput = document.createElement('input');
+  linearInput.type = 'number';
+  linearInput.min = '0';
+  linearInput.step = 'any';
+  linearInput.style.width = '80px';
+
+  const angularInput = document.createElement('input');
+  angularInput.type = 'number';
+  angularInput.min = '1';
+  angularInput.max = '90';
+  angularInput.step = 'any';
+  angularInput.style.width = '80px';
+
+  // Fills the inputs from the settings object, e.g. after it was replaced by a loaded project
+  const refresh = () => {
+    modeSelect.value = settings.relative ? 'relative' : 'absolute';
+    linearInput.value = settings.linearDeflection;
+    angularInput.value = toDegrees(settings.angularDeflection).toFixed(1);
+  };
+  refresh();
+
+  modeSelect.addEventListener('change', () => {
+    const relative = modeSelect.value === 'relative';
+    if (relative !== settings.relative) {
+      const value = convertLinearDeflection(settings.linearDeflection, relative, getModelDiagonal(), defaults);
+      settings.linearDeflection = Number(value.toPrecision(3));
+      linearInput.value = settings.linearDeflection;
+    }
+    settings.relative = relative;
+  });
+  linearInput.addEventListener('change', () => {
+    const value = parseFloat(linearInput.value);
+    if (value > 0) {
+      settings.linearDeflection = value;
+    } else {
+      linearInput.value = settings.linearDeflection;
+    }
+  });
+  angularInput.addEventListener('change', () => {
+    const value = parseFloat(angularInput.value);
+    if (value > 0) {
+      settings.angularDeflection = toRadians(value);
+    } else {
+      angularInput.value = toDegrees(settings.angularDeflection).toFixed(1);
+    }
+  });
+
+  [['Mode: ', modeSelect], ['Linear deflection: ', linearInput], ['Angular deflection (°): ', angularInput]].forEach(([label, input]) => {
+    const row = document.createElement('div');
+    row.style.marginBottom = '3px';
+    row.appendChild(document.createTextNode(label));
+    row.appendChild(input);
+    fieldset.appendChild(row);
+  });
+
+  return { element: fieldset, refresh };
+}
+
+/**
+ * Adds the tessellation settings panel to the given container
+ * @param {HTMLElement} container - Element the panel is appended to
+ * @param {Object} tessellationSettings - { display, export } settings objects, edited in place
+ * @param {Function} onApply - Called when the user asks to re-mesh the loaded shape
+ * @param {Function} getModelDiagonal - Returns the loaded model's bounding box diagonal in model
+ *                                      units, or null, to convert the deflection on a mode change
+ * @returns {Object} { element, setInfo(text), refresh() }
+ */
+export function createTessellationPanel(container, tessellationSettings, onApply, getModelDiagonal = () => null) {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '10px';
+  panel.style.fontSize = '12px';
+
+  const header = document.createElement('div');
+  header.textContent = 'Mesh quality';
+  header.style.fontWeight = 'bold';
+  panel.appendChild(header);
+
+  const displayFields = createSettingsFields('Display', tessellationSettings.display, DEFAULT_TESSELLATION, getModelDiagonal);
+  const exportFields = createSettingsFields('Export', tessellationSettings.export, DEFAULT_EXPORT_TESSELLATION, getModelDiagonal);
+  panel.appendChild(displayFields.element);
+  panel.appendChild(exportFields.element);
+
+  const applyButton = document.createElement('button');
+  applyButton.textContent = 'Re-mesh';
+  applyButton.title = 'Re-tessellate the loaded model with the display settings';
+  applyButton.onclick = async () => {
+    applyButton.disabled = true;
+    try {
+      await onApply(tessellationSettings.display);
+    } finally {
+      applyButton.disabled = false;
+    }
+  };
+  panel.appendChild(applyButton);
+
+  const info = document.createElement('div');
+  info.style.marginTop = '3px';
+  panel.appendChild(info);
+
+  container.appendChild(panel);
+
+  return {
+    element: panel,
+    setInfo: (text) => { info.textContent = text; },
+    refresh: () => {
+      displayFields.refresh();
+      exportFields.refresh();
+    }
+  };
+}
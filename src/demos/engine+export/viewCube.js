@@ -0,0 +1,132 @@
+// viewCube.js - Orientation cube for the viewport: click a face for a standard view,
+// plus buttons for the isometric view and the orthographic/perspective toggle
+import {
+  WebGLRenderer,
+  Scene,
+  PerspectiveCamera,
+  BoxGeometry,
+  Mesh,
+  MeshBasicMaterial,
+  CanvasTexture,
+  Raycaster,
+  Vector2,
+  Vector3
+} from 'three';
+
+// BoxGeometry material order is +X, -X, +Y, -Y, +Z, -Z, which matches these views
+// (see STANDARD_VIEWS in library.js)
+const CUBE_FACES = [
+  { view: 'right', label: 'RIGHT' },
+  { view: 'left', label: 'LEFT' },
+  { view: 'top', label: 'TOP' },
+  { view: 'bottom', label: 'BOTTOM' },
+  { view: 'front', label: 'FRONT' },
+  { view: 'back', label: 'BACK' }
+];
+
+const CUBE_SIZE = 100;
+
+// Texture with the face label, drawn on a canvas
+function createFaceTexture(label) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#e8e8e8';
+  context.fillRect(0, 0, 128, 128);
+  context.strokeStyle = '#888';
+  context.lineWidth = 4;
+  context.strokeRect(2, 2, 124, 124);
+  context.fillStyle = '#333';
+  context.font = 'bold 24px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(label, 64, 64);
+  return new CanvasTexture(canvas);
+}
+
+/**
+ * Adds the view cube to the page, following the orientation of the viewport camera
+ * @param {Scene} scene - Scene set up by setupThreeJSViewport (its userData holds the active camera)
+ * @param {Object} callbacks - { onSelectView(view), onToggleProjection() }
+ * @returns {Object} { element, setProjection(projection) } to update the toggle label
+ */
+export function createViewCube(scene, callbacks) {
+  const { onSelectView, onToggleProjection } = callbacks;
+
+  const container = document.createElement('div');
+  container.style.position = 'absolute';
+  container.style.right = '10px';
+  container.style.bottom = '10px';
+  container.style.display = 'flex';
+  container.style.flexDirection = 'column';
+  container.style.alignItems = 'center';
+  container.style.gap = '4px';
+
+  const renderer = new WebGLRenderer({ antialias: true, alpha: true });
+  renderer.setSize(CUBE_SIZE, CUBE_SIZE);
+  renderer.domElement.style.cursor = 'pointer';
+  container.appendChild(renderer.domElement);
+
+  const cubeScene = new Scene();
+  const cubeCamera = new PerspectiveCamera(30, 1, 0.1, 10);
+  const cube = new Mesh(
+    new BoxGeometry(1, 1, 1),
+    CUBE_FACES.map(face => new MeshBasicMaterial({ map: createFaceTexture(face.label) }))
+  );
+  cubeScene.add(cube);
+
+  const buttons = document.createElement('div');
+  buttons.style.display = 'flex';
+  buttons.style.gap = '4px';
+
+  const isoButton = document.createElement('button');
+  isoButton.textContent = 'Iso';
+  isoButton.title = 'Isometric view';
+  isoButton.onclick = () => onSelectView('iso');
+  buttons.appendChild(isoButton);
+
+  const projectionButton = document.createElement('button');
+  projectionButton.title = 'Toggle orthographic/perspective projection';
+  projectionButton.onclick = () => onToggleProjection();
+  buttons.appendChild(projectionButton);
+
+  container.appendChild(buttons);
+  document.body.appendChild(container);
+
+  // Clicking a face of the cube looks at the model from that side
+  const raycaster = new Raycaster();
+  renderer.domElement.addEventListener('click', (event) => {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, cubeCamera);
+    const hit = raycaster.intersectObject(cube)[0];
+    if (hit) {
+      onSelectView(CUBE_FACES[hit.face.materialIndex].view);
+    }
+  });
+
+  // The cube camera mirrors the orientation of the viewport camera
+  const cameraOffset = new Vector3();
+  function animate() {
+    requestAnimationFrame(animate);
+    const camera = scene.userData.camera;
+    if (!camera) return;
+
+    cameraOffset.set(0, 0, 4).applyQuaternion(camera.quaternion);
+    cubeCamera.position.copy(cameraOffset);
+    cubeCamera.quaternion.copy(camera.quaternion);
+    renderer.render(cubeScene, cubeCamera);
+  }
+  animate();
+
+  const setProjection = (projection) => {
+    projectionButton.textContent = projection === 'orthographic' ? 'Orthographic' : 'Perspective';
+  };
+  setProjection(scene.userData.camera && scene.userData.camera.isOrthographicCamera ? 'orthographic' : 'perspective');
+
+  return { element: container, setProjection };
+}
@@ -0,0 +1,122 @@
+// visibilityPanel.js - Hide, show, isolate and transparency commands for the face meshes,
+// applied to the current selection, the clicked face or a physical group
+
+const TRANSPARENT_OPACITY = 0.25;
+
+/**
+ * Updates the hidden and transparent face sets of the selection state for a command
+ * @param {Object} selectionState - Holds the hiddenFaces and transparentFaces sets
+ * @param {string} command - 'hide', 'show', 'isolate', 'transparent' (toggles) or 'showAll'
+ * @param {number[]} faceIndices - Faces the command applies to (ignored by showAll)
+ * @param {number[]} allFaceIndices - Every face of the model, needed to isolate
+ */
+export function updateFaceVisibility(selectionState, command, faceIndices, allFaceIndices) {
+  const { hiddenFaces, transparentFaces } = selectionState;
+  const faces = new Set(faceIndices);
+
+  switch (command) {
+    case 'hide':
+      faces.forEach(faceIndex => hiddenFaces.add(faceIndex));
+      break;
+    case 'show':
+      faces.forEach(faceIndex => hiddenFaces.delete(faceIndex));
+      break;
+    case 'isolate':
+      hiddenFaces.clear();
+      allFaceIndices.filter(faceIndex => !faces.has(faceIndex)).forEach(faceIndex => hiddenFaces.add(faceIndex));
+      break;
+    case 'transparent': {
+      // Toggles: faces that are all see-through already become opaque again
+      const allTransparent = Array.from(faces).every(faceIndex => transparentFaces.has(faceIndex));
+      faces.forEach(faceIndex => (allTransparent ? transparentFaces.delete(faceIndex) : transparentFaces.add(faceIndex)));
+      break;
+    }
+    case 'showAll':
+      hiddenFaces.clear();
+      transparentFaces.clear();
+      break;
+    default:
+      throw new Error(`Unknown visibility command '${command}'`);
+  }
+}
+
+/**
+ * Shows, hides and fades the face meshes of the "shape" group to match the selection state
+ * @param {Group} group - The "shape" group
+ * @param {Object} selectionState - Holds the hiddenFaces and transparentFaces sets
+ */
+export function applyFaceVisibility(group, selectionState) {
+  group.children.forEach(mesh => {
+    const faceIndex = mesh.userData.faceIndex;
+    const transparent = selectionState.transparentFaces.has(faceIndex);
+    mesh.visible = !selectionState.hiddenFaces.has(faceIndex);
+    mesh.userData.transparent = transparent;
+    mesh.material.transparent = transparent;
+    mesh.material.opacity = transparent ? TRANSPARENT_OPACITY : 1;
+    // Faces behind a see-through face must still be drawn
+    mesh.material.depthWrite = !transparent;
+  });
+}
+
+/**
+ * Adds the visibility controls to the given container
+ * @param {HTMLElement} container - Element the controls are appended to
+ * @param {Object} callbacks - { getGroups() returning the group names,
+ *                              onCommand(command, target) where target is 'selection',
+ *                              'face' or 'group:<name>' }
+ * @returns {Object} { element }
+ */
+export function createVisibilityPanel(container, callbacks) {
+  const { getGroups, onCommand } = callbacks;
+
+  const panel = document.createElement('div');
+  panel.style.display = 'flex';
+  panel.style.flexWrap = 'wrap';
+  panel.style.gap = '5px';
+  panel.style.marginBottom = '5px';
+
+  const targetSelect = document.createElement('select');
+  targetSelect.title = 'Faces the commands apply to';
+  // Groups change as selections are confirmed, so the list is rebuilt when opened
+  const refreshTargets = () => {
+    const current = targetSelect.value;
+    targetSelect.innerHTML = '';
+    const targets = [['selection', 'Selection'], ['face', 'Clicked face']]
+      .concat(getGroups().map(name => [`group:${name}`, `Group: ${name}`]));
+    targets.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      targetSelect.appendChild(option);
+    });
+    if (targets.some(([value]) => value === current)) {
+      targetSelect.value = current;
+    }
+  };
+  refreshTargets();
+  targetSelect.addEventListener('focus', refreshTargets);
+  targetSelect.addEventListener('mousedown', refreshTargets);
+  panel.appendChild(targetSelect);
+
+  const commands = [
+    ['hide', 'Hide', 'Hide these faces (H)'],
+    ['show', 'Show', 'Show these faces again'],
+    ['isolate', 'Isolate', 'Hide every other face'],
+    ['transparent', 'Transparent', 'Toggle see-through display of these faces'],
+    ['showAll', 'Show all', 'Show every face, opaque']
+  ];
+  commands.forEach(([command, label, title]) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    button.onclick = () => {
+      refreshTargets();
+      onCommand(command, targetSelect.value);
+    };
+    panel.appendChild(button);
+  });
+
+  container.appendChild(panel);
+
+  return { element: panel };
+}
@@ -203,33 +203,21 @@ async function handleLoadModel() {
     }
     
     try {
-        // Create a FileReader to read the file
-        const reader = new FileReader();
+        // The selected File is already a Blob, so hand it over by URL without
+        // reading it into memory here; the viewer reads it as an ArrayBuffer
+        const blobUrl = URL.createObjectURL(uploadedFile);
         
-        reader.onload = () => {
-            // Create a Blob URL for the file
-            const blob = new Blob([reader.result], { type: uploadedFile.type });
-            const blobUrl = URL.createObjectURL(blob);
-            
-            // Store file metadata in sessionStorage with the blob URL
-            sessionStorage.setItem('pendingCADModel', JSON.stringify({
-                name: uploadedFile.name,
-                size: uploadedFile.size,
-                type: uploadedFile.type,
-                blobUrl: blobUrl,
-                uploadTime: new Date().toISOString()
-            }));
-            
-            // Navigate to the viewer
-            window.location.href = './demos/engine+export/index.html';
-        };
+        // Store file metadata in sessionStorage with the blob URL
+        sessionStorage.setItem('pendingCADModel', JSON.stringify({
+            name: uploadedFile.name,
+            size: uploadedFile.size,
+            type: uploadedFile.type,
+            blobUrl: blobUrl,
+            uploadTime: new Date().toISOString()
+        }));
         
-        reader.onerror = () => {
-            showError("Error reading file. Please try again.");
-        };
-        
-        // Read the file as an ArrayBuffer (more efficient than base64)
-        reader.readAsArrayBuffer(uploadedFile);
+        // Navigate to the viewer
+        window.location.href = './demos/engine+export/index.html';
         
     } catch (error) {
         console.error('Error handling file:', error);